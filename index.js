@@ -1 +1,11 @@
 module.exports = require('./src/server.js');
+module.exports.TPTMPClient = require('./src/tptmpclient.js');
+module.exports.protocol = require('./src/protocol.js');
+module.exports.commands = require('./src/commands');
+module.exports.recording = require('./src/recording.js');
+module.exports.bridge = require('./src/bridge');
+module.exports.logger = require('./src/logger.js');
+module.exports.metrics = require('./src/metrics.js');
+module.exports.websocket = require('./src/websocket.js');
+module.exports.dialect = require('./src/dialect.js');
+module.exports.middleware = require('./src/middleware.js');
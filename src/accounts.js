@@ -0,0 +1,162 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt
+ * @param {String} password The password
+ * @param {Buffer} salt The salt
+ * @return {Promise} Promise resolving to the hash
+ */
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) =>
+      err ? reject(err) : resolve(key));
+  });
+}
+
+/**
+ * Registered nicks, optionally persisted to a JSON file
+ *
+ * Accounts are objects of the form
+ * `{nick, salt, hash, created, lastSeen}`, where salt and hash are hex and
+ * the hash is scrypt of the password. Nicks are matched case insensitively.
+ *
+ * Emits 'register' (account), 'drop' (account) and 'saveError' (err).
+ */
+class Accounts extends EventEmitter {
+  /**
+   * Creates a new Accounts
+   * @param {String} [file] JSON file to persist accounts to
+   */
+  constructor(file = null) {
+    super();
+    this.file = file;
+    // accounts by lowercased nick
+    this.accounts = new Map();
+    this._saving = Promise.resolve();
+    if (file) this.load();
+  }
+  /**
+   * Load accounts from the file
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    this.accounts = new Map(JSON.parse(data)
+      .map(account => [account.nick.toLowerCase(), account]));
+  }
+  /**
+   * Write accounts to the file
+   * @return {Promise} Promise resolving once the file is written
+   */
+  save() {
+    if (!this.file) return Promise.resolve();
+    let data = JSON.stringify([...this.accounts.values()], null, 2);
+    let tmp = this.file + '.tmp';
+    this._saving = this._saving.catch(() => {}).then(() =>
+      new Promise((resolve, reject) => {
+        fs.writeFile(tmp, data, {mode: 0o600}, err => {
+          if (err) return reject(err);
+          fs.rename(tmp, this.file, err => err ? reject(err) : resolve());
+        });
+      }));
+    this._saving.catch(err => this.emit('saveError', err));
+    return this._saving;
+  }
+  /**
+   * Get the account of a nick
+   * @param {String} nick The nick
+   * @return {Object} The account, undefined if the nick is not registered
+   */
+  get(nick) {
+    return this.accounts.get(nick.toLowerCase());
+  }
+  /**
+   * Whether a nick is registered
+   * @param {String} nick The nick
+   * @return {Boolean}
+   */
+  isRegistered(nick) {
+    return this.accounts.has(nick.toLowerCase());
+  }
+  /**
+   * Register a nick
+   * @param {String} nick The nick
+   * @param {String} password The password
+   * @return {Promise} Promise resolving to the account
+   */
+  async register(nick, password) {
+    if (this.isRegistered(nick)) throw new Error(`${nick} is registered`);
+    let salt = crypto.randomBytes(16);
+    let hash = await hashPassword(password, salt);
+    // the nick may have been registered while hashing
+    if (this.isRegistered(nick)) throw new Error(`${nick} is registered`);
+    let account = {
+      nick,
+      salt: salt.toString('hex'),
+      hash: hash.toString('hex'),
+      created: Date.now(),
+      lastSeen: Date.now()
+    };
+    this.accounts.set(nick.toLowerCase(), account);
+    this.emit('register', account);
+    this.save();
+    return account;
+  }
+  /**
+   * Check the password of a nick
+   * @param {String} nick The nick
+   * @param {String} password The password
+   * @return {Promise} Promise resolving to whether the password is right,
+   *   false if the nick is not registered
+   */
+  async verify(nick, password) {
+    let account = this.get(nick);
+    if (!account) return false;
+    let hash = await hashPassword(password, Buffer.from(account.salt, 'hex'));
+    if (!crypto.timingSafeEqual(hash, Buffer.from(account.hash, 'hex'))) {
+      return false;
+    }
+    account.lastSeen = Date.now();
+    this.save();
+    return true;
+  }
+  /**
+   * Change the password of a nick
+   * @param {String} nick The nick
+   * @param {String} password The new password
+   * @return {Promise} Promise resolving once the password is changed
+   */
+  async setPassword(nick, password) {
+    let account = this.get(nick);
+    if (!account) throw new Error(`${nick} is not registered`);
+    let salt = crypto.randomBytes(16);
+    let hash = await hashPassword(password, salt);
+    account.salt = salt.toString('hex');
+    account.hash = hash.toString('hex');
+    await this.save();
+  }
+  /**
+   * Remove the registration of a nick
+   * @param {String} nick The nick
+   * @return {Boolean} Whether the nick was registered
+   */
+  drop(nick) {
+    let account = this.get(nick);
+    if (!account) return false;
+    this.accounts.delete(nick.toLowerCase());
+    this.emit('drop', account);
+    this.save();
+    return true;
+  }
+}
+
+module.exports = Accounts;
@@ -0,0 +1,332 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const EventEmitter = require('events');
+
+/** Error turned into an HTTP error response */
+class HTTPError extends Error {
+  /**
+   * Creates a new HTTPError
+   * @param {Number} status HTTP status code
+   * @param {String} message Message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MAX_BODY = 64 * 1024;
+
+/**
+ * Describe a client for the API
+ * @param {Client} client The client
+ * @return {Object}
+ */
+function clientInfo(client) {
+  return {
+    id: client.id,
+    nick: client.nick,
+    version: client.version.join('.'),
+    room: client.room ? client.room.name : null,
+    ip: client.ip,
+    authenticated: client.authenticated,
+    spectator: client.room ? client.room.isSpectator(client) : false,
+    idle: Math.floor((Date.now() - client.lastActive) / 1000),
+    // bytes waiting to be sent, and whether that is over budget
+    queued: client.outbox ? client.outbox.bytes : 0,
+    lagging: client.outbox ? client.outbox.lagging : false,
+    // whether the connection was lost and the client may still resume
+    dropped: Boolean(client.dropped)
+  };
+}
+
+/**
+ * Describe a room for the API
+ * @param {Room} room The room
+ * @return {Object}
+ */
+function roomInfo(room) {
+  let clients = [...room.clients];
+  return {
+    name: room.name,
+    clients: clients.map(c => ({id: c.id, nick: c.nick})),
+    ops: clients.filter(c => room.isOp(c)).map(c => c.nick),
+    founder: room.founder,
+    modes: Object.assign({}, room.modes, {password: !!room.modes.password})
+  };
+}
+
+/**
+ * JSON API to manage a server, meant to be bound to localhost or a Unix
+ * socket. Every request needs an `Authorization: Bearer <token>` header.
+ *
+ * GET    /clients                  List clients
+ * GET    /clients/:id              Show a client
+ * POST   /clients/:id/kick         Kick a client, body {reason}
+ * POST   /clients/:id/move         Move a client, body {room}
+ * GET    /rooms                    List rooms
+ * GET    /rooms/:name              Show a room
+ * DELETE /rooms/:name              Move everyone in a room to the lobby
+ * POST   /broadcast                Message everyone, body {message, color}
+ * GET    /bans                     List bans and mutes
+ * POST   /bans                     Add a ban or mute, body as BanList.add
+ * DELETE /bans?type=&target=&room= Remove a ban or mute
+ */
+class AdminServer extends EventEmitter {
+  /**
+   * Creates a new AdminServer
+   * @param {TPTMPServer} server The server to manage
+   * @param {Object} opts Options
+   * @param {String} opts.token Token clients must send
+   * @param {String} [opts.host=127.0.0.1] Host to listen on
+   * @param {Number} [opts.port=34404] Port to listen on
+   * @param {String} [opts.path] Unix socket to listen on instead of a port
+   */
+  constructor(server, opts) {
+    super();
+    this.server = server;
+    this.opts = Object.assign({
+      host: '127.0.0.1',
+      port: 34404,
+      path: null
+    }, opts);
+    if (!this.opts.token) throw new Error('The admin API needs a token');
+    this._token = crypto.createHash('sha256').update(this.opts.token)
+      .digest();
+    this.routes = [
+      ['GET', /^\/clients$/, () => [...server.clients.values()]
+        .filter(c => c.nick !== null).map(clientInfo)],
+      ['GET', /^\/clients\/(\d+)$/, req => clientInfo(this.client(req))],
+      ['POST', /^\/clients\/(\d+)\/kick$/, this.kick],
+      ['POST', /^\/clients\/(\d+)\/move$/, this.move],
+      ['GET', /^\/rooms$/, () => [...server.rooms.values()].map(roomInfo)],
+      ['GET', /^\/rooms\/([^/]+)$/, req => roomInfo(this.room(req))],
+      ['DELETE', /^\/rooms\/([^/]+)$/, this.deleteRoom],
+      ['POST', /^\/broadcast$/, this.broadcast],
+      ['GET', /^\/bans$/, () => server.bans.list()],
+      ['POST', /^\/bans$/, this.addBan],
+      ['DELETE', /^\/bans$/, this.removeBan]
+    ];
+    this.httpServer = http.createServer(this._requestHandler.bind(this));
+  }
+  /**
+   * Start listening
+   */
+  listen() {
+    if (this.opts.path) this.httpServer.listen(this.opts.path);
+    else this.httpServer.listen(this.opts.port, this.opts.host);
+  }
+  /**
+   * Stop listening
+   * @return {Promise} Promise resolving once the server is closed
+   */
+  close() {
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+  /**
+   * Whether a request carries the right token
+   * @param {IncomingMessage} req The request
+   * @return {Boolean}
+   */
+  authorized(req) {
+    let match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    let token = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(token, this._token);
+  }
+  /**
+   * Read the JSON body of a request
+   * @param {IncomingMessage} req The request
+   * @return {Promise} Promise resolving to the body, {} if there is none
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          reject(new HTTPError(413, 'Body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      }).on('end', () => {
+        if (!size) return resolve({});
+        let body;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+          reject(new HTTPError(400, 'Invalid JSON'));
+          return;
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HTTPError(400, 'The body must be an object'));
+          return;
+        }
+        resolve(body);
+      }).on('error', reject);
+    });
+  }
+  /**
+   * Handles requests
+   * @param {IncomingMessage} req The request
+   * @param {ServerResponse} res The response
+   */
+  async _requestHandler(req, res) {
+    let status = 200;
+    let result;
+    try {
+      if (!this.authorized(req)) throw new HTTPError(401, 'Unauthorized');
+      let {pathname, query} = url.parse(req.url, true);
+      let route = this.routes.find(([, re]) => re.test(pathname));
+      if (!route) throw new HTTPError(404, 'Not found');
+      route = this.routes.find(([method, re]) =>
+        method === req.method && re.test(pathname));
+      if (!route) throw new HTTPError(405, 'Method not allowed');
+      req.params = route[1].exec(pathname).slice(1).map(decodeURIComponent);
+      req.query = query;
+      req.body = await this.readBody(req);
+      result = await route[2].call(this, req);
+    } catch (err) {
+      if (!(err instanceof HTTPError)) {
+        this.emit('requestError', err, req);
+        err = new HTTPError(500, 'Internal error');
+      }
+      status = err.status;
+      result = {error: err.message};
+    }
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(result === undefined ? {ok: true} : result));
+  }
+  /**
+   * Get the client a request refers to
+   * @param {IncomingMessage} req The request
+   * @return {Client}
+   */
+  client(req) {
+    let client = this.server.clients.get(+req.params[0]);
+    if (!client || client.nick === null) {
+      throw new HTTPError(404, 'No such client');
+    }
+    return client;
+  }
+  /**
+   * Get the room a request refers to
+   * @param {IncomingMessage} req The request
+   * @return {Room}
+   */
+  room(req) {
+    let room = this.server.rooms.get(req.params[0]);
+    if (!room) throw new HTTPError(404, 'No such room');
+    return room;
+  }
+  /**
+   * Kick a client
+   * @param {IncomingMessage} req The request
+   */
+  kick(req) {
+    let client = this.client(req);
+    this.emit('action', 'kick', client.nick, req.body);
+    client.kick('an admin', req.body.reason || undefined);
+  }
+  /**
+   * Move a client to a room
+   * @param {IncomingMessage} req The request
+   * @return {Object} The client
+   */
+  move(req) {
+    let client = this.client(req);
+    let room = req.body.room;
+    if (typeof room !== 'string') throw new HTTPError(400, 'Invalid room name');
+    let refusal = this.server.checkRoomName(room, client);
+    if (refusal) throw new HTTPError(400, refusal);
+    if (!client.room) throw new HTTPError(409, 'Client is not in a room');
+    if (client.dropped) throw new HTTPError(409, 'Client is not connected');
+    this.emit('action', 'move', client.nick, req.body);
+    client.changeRoom(room);
+    client.serverMessage(`An admin moved you to ${room}`);
+    return clientInfo(client);
+  }
+  /**
+   * Empty a room, which deletes it
+   * @param {IncomingMessage} req The request
+   */
+  deleteRoom(req) {
+    let room = this.room(req);
+    if (room.isLobby()) {
+      throw new HTTPError(400, 'The lobby can\'t be deleted');
+    }
+    this.emit('action', 'deleteRoom', room.name, req.body);
+    for (let client of [...room.clients]) {
+      // dropped clients can't be moved, and would resume into a closed room
+      if (client.dropped) {
+        client.disconnect('Room closed');
+        continue;
+      }
+      client.serverMessage(`${room.name} was closed by an admin`);
+      client.changeRoom(this.server.opts.lobby);
+    }
+  }
+  /**
+   * Send a server message to every client
+   * @param {IncomingMessage} req The request
+   */
+  broadcast(req) {
+    let {message, color = []} = req.body;
+    if (typeof message !== 'string' || !message) {
+      throw new HTTPError(400, 'Missing message');
+    }
+    this.emit('action', 'broadcast', null, req.body);
+    this.server.broadcast(message, color);
+  }
+  /**
+   * Add a ban or mute
+   * @param {IncomingMessage} req The request
+   * @return {Object} The entry
+   */
+  addBan(req) {
+    let {type = 'ban', by = 'admin API', duration, expires} = req.body;
+    if (type !== 'ban' && type !== 'mute') {
+      throw new HTTPError(400, 'Invalid type');
+    }
+    if (typeof by !== 'string') throw new HTTPError(400, 'Invalid by');
+    let entry = {type, by, duration, expires};
+    for (let key of ['nick', 'mask', 'room', 'reason']) {
+      let value = req.body[key];
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        throw new HTTPError(400, `Invalid ${key}`);
+      }
+      entry[key] = value;
+    }
+    for (let key of ['duration', 'expires']) {
+      let value = entry[key];
+      if (value !== undefined && value !== null &&
+        !(Number.isFinite(value) && value > 0)) {
+        throw new HTTPError(400, `Invalid ${key}`);
+      }
+    }
+    try {
+      entry = this.server.bans.add(entry);
+    } catch (err) {
+      throw new HTTPError(400, err.message);
+    }
+    this.emit('action', 'ban', entry.nick || entry.mask, req.body);
+    return entry;
+  }
+  /**
+   * Remove a ban or mute
+   * @param {IncomingMessage} req The request
+   */
+  removeBan(req) {
+    let {type = 'ban', target, room = null} = req.query;
+    if (!target) throw new HTTPError(400, 'Missing target');
+    this.emit('action', 'unban', target, req.query);
+    if (!this.server.bans.remove(type, target, room)) {
+      throw new HTTPError(404, 'No such entry');
+    }
+  }
+}
+
+module.exports = AdminServer;
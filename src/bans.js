@@ -0,0 +1,273 @@
+const fs = require('fs');
+const net = require('net');
+const EventEmitter = require('events');
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as 30m, 12h or 7d
+ * @param {String} str The duration
+ * @return {Number} Duration in milliseconds, or null if it is not a duration
+ */
+function parseDuration(str) {
+  let match = /^(\d+)([smhdw])$/.exec(str);
+  if (!match) return null;
+  return match[1] * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Parse an IP address into 16 bytes, mapping IPv4 into IPv6
+ * @param {String} ip The address
+ * @return {Number[]} The bytes, or null if it is not an address
+ */
+function parseIp(ip) {
+  ip = ip.replace(/%.*$/, ''); // zone index
+  if (net.isIPv4(ip)) {
+    return [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 255,
+      ...ip.split('.').map(Number)];
+  }
+  if (!net.isIPv6(ip)) return null;
+  let words = [];
+  let halves = ip.split('::').map(half => {
+    let parts = half ? half.split(':') : [];
+    let out = [];
+    for (let part of parts) {
+      if (part.includes('.')) {
+        let [a, b, c, d] = part.split('.').map(Number);
+        out.push((a << 8) | b, (c << 8) | d);
+      } else {
+        out.push(parseInt(part, 16));
+      }
+    }
+    return out;
+  });
+  if (halves.length === 1) {
+    words = halves[0];
+  } else {
+    let fill = new Array(8 - halves[0].length - halves[1].length).fill(0);
+    words = [...halves[0], ...fill, ...halves[1]];
+  }
+  let bytes = [];
+  for (let word of words) bytes.push(word >> 8, word & 255);
+  return bytes;
+}
+
+/**
+ * Parse an address or CIDR range such as 10.0.0.0/8 or 2001:db8::/32
+ * @param {String} mask The address or range
+ * @return {Object} `{bytes, bits}`, or null if it is not a range
+ */
+function parseMask(mask) {
+  let [ip, bits] = mask.split('/');
+  let bytes = parseIp(ip);
+  if (!bytes) return null;
+  let max = net.isIPv4(ip) ? 32 : 128;
+  if (bits === undefined) {
+    bits = max;
+  } else {
+    if (!/^\d+$/.test(bits) || +bits > max) return null;
+    bits = +bits;
+  }
+  return {bytes, bits: bits + 128 - max};
+}
+
+/**
+ * Whether an address is in a range
+ * @param {String} ip The address
+ * @param {String} mask The address or range
+ * @return {Boolean}
+ */
+function matchMask(ip, mask) {
+  let addr = parseIp(ip);
+  let range = parseMask(mask);
+  if (!addr || !range) return false;
+  for (let i = 0; i < 16; i++) {
+    let bits = Math.min(8, Math.max(0, range.bits - i * 8));
+    let m = (0xff << (8 - bits)) & 0xff;
+    if ((addr[i] & m) !== (range.bytes[i] & m)) return false;
+  }
+  return true;
+}
+
+/**
+ * Bans and mutes of a server, optionally persisted to a JSON file
+ *
+ * An entry is an object with:
+ * - `type`: 'ban' or 'mute'
+ * - `nick` or `mask`: nick, or address/CIDR range, it applies to
+ * - `room`: name of the room it applies to, null for the whole server
+ * - `reason`, `by`: why and by whom it was set
+ * - `created`, `expires`: timestamps in ms, expires is null if permanent
+ */
+class BanList extends EventEmitter {
+  /**
+   * Creates a new BanList
+   * @param {String} [file] JSON file to persist entries to
+   */
+  constructor(file = null) {
+    super();
+    this.file = file;
+    this.entries = [];
+    this._saving = Promise.resolve();
+    if (file) this.load();
+  }
+  /**
+   * Load entries from the file
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    this.entries = JSON.parse(data);
+    this.prune();
+  }
+  /**
+   * Write entries to the file
+   * @return {Promise} Promise resolving once the file is written
+   */
+  save() {
+    if (!this.file) return Promise.resolve();
+    this.prune();
+    let data = JSON.stringify(this.entries, null, 2);
+    let tmp = this.file + '.tmp';
+    this._saving = this._saving.catch(() => {}).then(() =>
+      new Promise((resolve, reject) => {
+        fs.writeFile(tmp, data, err => {
+          if (err) return reject(err);
+          fs.rename(tmp, this.file, err => err ? reject(err) : resolve());
+        });
+      }));
+    this._saving.catch(err => this.emit('saveError', err));
+    return this._saving;
+  }
+  /**
+   * Remove expired entries
+   */
+  prune() {
+    let now = Date.now();
+    this.entries = this.entries.filter(e => !e.expires || e.expires > now);
+  }
+  /**
+   * Add a ban or mute
+   * @param {Object} entry The entry, see the class description
+   * @param {Number} [entry.duration] Duration in ms, instead of expires
+   * @return {Object} The added entry
+   */
+  add(entry) {
+    if (!entry.nick === !entry.mask) {
+      throw new Error('Exactly one of nick and mask must be given');
+    }
+    if (entry.mask && !parseMask(entry.mask)) {
+      throw new Error(`Invalid address: ${entry.mask}`);
+    }
+    let now = Date.now();
+    entry = {
+      type: entry.type || 'ban',
+      nick: entry.nick || null,
+      mask: entry.mask || null,
+      room: entry.room || null,
+      reason: entry.reason || null,
+      by: entry.by || null,
+      created: now,
+      expires: entry.duration ? now + entry.duration : entry.expires || null
+    };
+    this.remove(entry.type, entry.nick || entry.mask, entry.room, false);
+    this.entries.push(entry);
+    this.emit('add', entry);
+    this.save();
+    return entry;
+  }
+  /**
+   * Remove a ban or mute
+   * @param {String} type 'ban' or 'mute'
+   * @param {String} target Nick or address/range of the entry
+   * @param {String} [room] Room of the entry, null for server-wide
+   * @param {Boolean} [save=true] Whether to save the file
+   * @return {Boolean} Whether there was such an entry
+   */
+  remove(type, target, room = null, save = true) {
+    let index = this.entries.findIndex(e => e.type === type &&
+      (e.room || null) === room &&
+      (e.mask === target || sameNick(e.nick, target)));
+    if (index === -1) return false;
+    let [entry] = this.entries.splice(index, 1);
+    this.emit('remove', entry);
+    if (save) this.save();
+    return true;
+  }
+  /**
+   * Find the active entry applying to a client
+   * @param {String} type 'ban' or 'mute'
+   * @param {Object} who `{nick, ip}`, either may be missing
+   * @param {String} [room] Room to check, null for server-wide entries only
+   * @return {Object} The entry, or undefined if there is none
+   */
+  find(type, who, room = null) {
+    let now = Date.now();
+    return this.entries.find(e => e.type === type &&
+      (!e.expires || e.expires > now) &&
+      (e.room === null || e.room === room) && this.matches(e, who));
+  }
+  /**
+   * Whether an entry applies to a nick or address, ignoring type and room
+   * @param {Object} entry The entry
+   * @param {Object} who `{nick, ip}`, either may be missing
+   * @return {Boolean}
+   */
+  matches(entry, who) {
+    if (entry.nick) return sameNick(entry.nick, who.nick);
+    return Boolean(who.ip) && matchMask(who.ip, entry.mask);
+  }
+  /**
+   * List active entries
+   * @param {String} [room] Only list entries of this room, null for
+   *   server-wide entries, undefined for all
+   * @return {Object[]}
+   */
+  list(room) {
+    this.prune();
+    if (room === undefined) return this.entries.slice();
+    return this.entries.filter(e => e.room === room);
+  }
+}
+
+/**
+ * Compare nicks case-insensitively
+ * @param {String} a A nick
+ * @param {String} b Another nick
+ * @return {Boolean}
+ */
+function sameNick(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Describe an entry for messages, e.g. "until 2017-01-01 (griefing)"
+ * @param {Object} entry The entry
+ * @return {String}
+ */
+function describe(entry) {
+  let text = entry.expires ?
+    `until ${new Date(entry.expires).toISOString()}` : 'permanently';
+  if (entry.reason) text += ` (${entry.reason})`;
+  return text;
+}
+
+module.exports = {
+  BanList,
+  parseDuration,
+  parseIp,
+  parseMask,
+  matchMask,
+  describe
+};
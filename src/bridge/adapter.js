@@ -0,0 +1,56 @@
+const EventEmitter = require('events');
+
+/**
+ * Base class of chat bridge adapters
+ *
+ * An adapter connects to an external chat and has channels, named however the
+ * chat names them. It emits:
+ * - 'message' (channel, nick, text, action) for messages in a channel, where
+ *   action is whether the message is an action (/me)
+ * - 'join' (channel, nick) and 'part' (channel, nick) for users coming and
+ *   going, so virtual users can be removed
+ * - 'ready' once connected, 'disconnect' (reason) when the connection is lost
+ * - 'adapterError' (err) for errors that did not end the connection
+ * It must not emit messages sent by itself.
+ */
+class Adapter extends EventEmitter {
+  /**
+   * Connect to the external chat
+   * @param {String[]} channels Channels to join
+   */
+  start(channels) {
+    throw new Error('Not implemented');
+  }
+  /**
+   * Disconnect from the external chat
+   */
+  stop() {
+    throw new Error('Not implemented');
+  }
+  /**
+   * Send activity of a room to a channel
+   * @param {String} channel The channel
+   * @param {Object} event `{kind, room, nick, message}` where kind is one of
+   *   chat, emote, join and part
+   */
+  send(channel, event) {
+    throw new Error('Not implemented');
+  }
+  /**
+   * Turn activity of a room into a line of text
+   * @param {Object} event See send
+   * @param {String} [prefix=''] Prefix of in-game nicks
+   * @return {String}
+   */
+  format(event, prefix = '') {
+    let nick = prefix + event.nick;
+    switch (event.kind) {
+      case 'chat': return `<${nick}> ${event.message}`;
+      case 'emote': return `* ${nick} ${event.message}`;
+      case 'join': return `${nick} joined ${event.room}`;
+      case 'part': return `${nick} left ${event.room}`;
+    }
+  }
+}
+
+module.exports = Adapter;
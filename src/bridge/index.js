@@ -0,0 +1,266 @@
+const EventEmitter = require('events');
+const TPTMPClient = require('../tptmpclient');
+const {RateLimiter} = require('../ratelimit');
+const Adapter = require('./adapter');
+const IRCAdapter = require('./irc');
+
+/**
+ * Make external text fit in-game chat, which only takes printable ASCII
+ * @param {String} text The text
+ * @return {String}
+ */
+function sanitize(text) {
+  return text.replace(/[^ -~]/g, '?');
+}
+
+/**
+ * Relays chat between rooms and the channels of an external chat
+ *
+ * Chat, emotes, joins and parts of bridged rooms are sent to their channels.
+ * Messages from a channel are shown in its room either as server messages or,
+ * with `inject: 'users'`, as chat of a virtual user per external nick, which
+ * leaves when the external user does or after being idle. Chat of virtual
+ * users is never sent back out.
+ */
+class Bridge extends EventEmitter {
+  /**
+   * Creates a new Bridge
+   * @param {TPTMPServer} server The server to bridge
+   * @param {Adapter} adapter The adapter of the external chat
+   * @param {Object} opts Options
+   * @param {Object} opts.rooms Room names by channel
+   * @param {String} [opts.inject=message] How external messages are shown,
+   *   'message' or 'users'
+   * @param {String} [opts.prefix=''] Prefix of external nicks in-game
+   * @param {Number[]} [opts.color=[200,200,255]] Color of server messages
+   * @param {Boolean} [opts.notices=true] Whether to send joins and parts out
+   * @param {Number} [opts.idleTimeout=1800000] How long virtual users stay
+   *   after their last message, in ms
+   */
+  constructor(server, adapter, opts) {
+    super();
+    this.server = server;
+    this.adapter = adapter;
+    this.opts = Object.assign({
+      rooms: {},
+      inject: 'message',
+      prefix: '',
+      color: [200, 200, 255],
+      notices: true,
+      idleTimeout: 30 * 60 * 1000
+    }, opts);
+    if (!['message', 'users'].includes(this.opts.inject)) {
+      throw new Error(`Invalid inject mode: ${this.opts.inject}`);
+    }
+    // channels by room name
+    this.channels = new Map();
+    for (let channel of Object.keys(this.opts.rooms)) {
+      let room = this.opts.rooms[channel];
+      if (server.checkRoomName(room)) {
+        throw new Error(`Invalid room name: ${room}`);
+      }
+      if (!this.channels.has(room)) this.channels.set(room, []);
+      this.channels.get(room).push(channel);
+    }
+    // virtual users by channel and nick, and their server-side clients
+    this.users = new Map();
+    this.virtual = new WeakSet();
+    this.running = false;
+    this._listeners = [];
+  }
+  /**
+   * Start relaying and connect the adapter
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._listen(this.server, 'roomCreate', room => this._watch(room));
+    for (let room of this.server.rooms.values()) this._watch(room);
+    this._listen(this.adapter, 'message', (channel, nick, text, action) =>
+      this.inject(channel, nick, text, action));
+    this._listen(this.adapter, 'part', (channel, nick) =>
+      this._removeUser(channel, nick));
+    this._listen(this.adapter, 'disconnect', () => this._removeUsers());
+    this.adapter.start(Object.keys(this.opts.rooms));
+  }
+  /**
+   * Stop relaying, remove the virtual users and disconnect the adapter
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    for (let [emitter, event, listener] of this._listeners) {
+      emitter.removeListener(event, listener);
+    }
+    this._listeners = [];
+    this._removeUsers();
+    this.adapter.stop();
+  }
+  /**
+   * Send activity of a room to its channels
+   * @param {Room} room The room
+   * @param {Object} event See Adapter.prototype.send
+   */
+  relay(room, event) {
+    for (let channel of this.channels.get(room.name) || []) {
+      this.emit('relay', channel, event);
+      this.adapter.send(channel, event);
+    }
+  }
+  /**
+   * Show a message from a channel in its room
+   * @param {String} channel The channel
+   * @param {String} nick Nick of the sender
+   * @param {String} text The message
+   * @param {Boolean} [action=false] Whether the message is an action
+   */
+  async inject(channel, nick, text, action = false) {
+    let name = this.opts.rooms[channel];
+    if (name === undefined) return;
+    text = sanitize(text);
+    this.emit('inject', name, nick, text, action);
+    if (this.opts.inject === 'users') {
+      let user;
+      try {
+        user = await this._user(channel, nick);
+      } catch (err) {
+        // most likely the nick is taken, fall back to a server message
+        this.emit('bridgeError', err);
+      }
+      if (user) {
+        // keep external messages from running commands
+        if (!action && this.server.commands.isCommand(text)) {
+          text = ' ' + text;
+        }
+        let max = this.server.opts.maxMessageLength;
+        for (let i = 0; i < text.length || i === 0; i += max) {
+          let part = text.slice(i, i + max);
+          if (action) user.bot.emote(part);
+          else user.bot.say(part);
+        }
+        return;
+      }
+    }
+    let room = this.server.rooms.get(name);
+    if (!room) return; // nobody to show it to
+    let from = sanitize(this.opts.prefix + nick);
+    room.serverMessage(action ? `* ${from} ${text}` : `<${from}> ${text}`,
+      ...this.opts.color);
+  }
+  /**
+   * Follow the activity of a room if it is bridged
+   * @param {Room} room The room
+   */
+  _watch(room) {
+    if (!this.channels.has(room.name)) return;
+    room.once('delete', () => {
+      this._listeners = this._listeners.filter(([e]) => e !== room);
+    });
+    this._listen(room, 'send', packet => {
+      if (packet.type !== 'chat' && packet.type !== 'emote') return;
+      let client = this.server.clients.get(packet.id);
+      if (!client || this.virtual.has(client)) return;
+      this.relay(room, {
+        kind: packet.type,
+        room: room.name,
+        nick: client.nick,
+        message: packet.message
+      });
+    });
+    if (!this.opts.notices) return;
+    for (let kind of ['join', 'part']) {
+      this._listen(room, kind, client => {
+        if (this.virtual.has(client) || client.nick === null) return;
+        this.relay(room, {kind, room: room.name, nick: client.nick});
+      });
+    }
+  }
+  /**
+   * Get the virtual user of an external nick, connecting it if needed
+   * @param {String} channel The channel of the user
+   * @param {String} nick The external nick
+   * @return {Promise} Promise resolving to `{bot, client, timer}`
+   */
+  async _user(channel, nick) {
+    let key = `${channel}\n${nick}`;
+    let user = this.users.get(key);
+    if (!user) {
+      user = this._spawn(channel, nick);
+      this.users.set(key, user);
+      user.catch(() => this.users.delete(key));
+    }
+    user = await user;
+    clearTimeout(user.timer);
+    user.timer = setTimeout(() => this._removeUser(channel, nick),
+      this.opts.idleTimeout);
+    return user;
+  }
+  /**
+   * Connect a virtual user and put it in the room of a channel
+   * @param {String} channel The channel of the user
+   * @param {String} nick The external nick
+   * @return {Promise} Promise resolving to `{bot, client, timer}`
+   */
+  async _spawn(channel, nick) {
+    let {socket, client} = this.server.connectVirtual();
+    if (!client) throw new Error('The server refused the connection');
+    this.virtual.add(client);
+    // the channel sets the pace, bursts of it must not be dropped
+    client.rateLimiter = new RateLimiter({});
+    // chat-only from the start, so virtual users are never asked for syncs
+    // or made ops, even in a room they are the first in
+    client.isChat = true;
+    client.virtualUser = true;
+    let bot = new TPTMPClient({
+      nick: (this.opts.prefix + nick).replace(/[^\w-]/g, '_')
+        .slice(0, this.server.opts.maxNickLength),
+      socket
+    });
+    await bot.connect();
+    client.changeRoom(this.opts.rooms[channel]);
+    return {bot, client, timer: null};
+  }
+  /**
+   * Disconnect the virtual user of an external nick
+   * @param {String} channel The channel of the user
+   * @param {String} nick The external nick
+   */
+  async _removeUser(channel, nick) {
+    let key = `${channel}\n${nick}`;
+    let user = this.users.get(key);
+    if (!user) return;
+    this.users.delete(key);
+    try {
+      user = await user;
+    } catch (err) {
+      return;
+    }
+    clearTimeout(user.timer);
+    user.bot.close();
+  }
+  /**
+   * Disconnect every virtual user
+   */
+  _removeUsers() {
+    for (let key of [...this.users.keys()]) {
+      this._removeUser(...key.split('\n'));
+    }
+  }
+  /**
+   * Add a listener that is removed when the bridge stops
+   * @param {EventEmitter} emitter The emitter
+   * @param {String} event The event
+   * @param {Function} listener The listener
+   */
+  _listen(emitter, event, listener) {
+    emitter.on(event, listener);
+    this._listeners.push([emitter, event, listener]);
+  }
+}
+
+module.exports = {
+  Adapter,
+  Bridge,
+  IRCAdapter,
+  sanitize
+};
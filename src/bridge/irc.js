@@ -0,0 +1,272 @@
+const net = require('net');
+const tls = require('tls');
+const Adapter = require('./adapter');
+const {TokenBucket} = require('../ratelimit');
+
+// bold, color, reset, reverse, italic and underline codes
+const FORMATTING = /\x03(\d{1,2}(,\d{1,2})?)?|[\x02\x0f\x16\x1d\x1f]/g;
+// longest text sent in one PRIVMSG, leaving room for the prefix servers add
+const MAX_TEXT = 400;
+
+/**
+ * Parse a line sent by an IRC server
+ * @param {String} line The line, without CRLF
+ * @return {Object} `{nick, command, params}` where nick is null if the line
+ *   has no prefix or is from a server
+ */
+function parseLine(line) {
+  let nick = null;
+  if (line[0] === ':') {
+    let space = line.indexOf(' ');
+    let prefix = line.slice(1, space);
+    if (prefix.includes('!')) nick = prefix.slice(0, prefix.indexOf('!'));
+    line = line.slice(space + 1);
+  }
+  let trailing = line.indexOf(' :');
+  let params = (trailing === -1 ? line : line.slice(0, trailing))
+    .split(' ').filter(p => p);
+  if (trailing !== -1) params.push(line.slice(trailing + 2));
+  let command = params.shift().toUpperCase();
+  return {nick, command, params};
+}
+
+/** Bridges to IRC channels */
+class IRCAdapter extends Adapter {
+  /**
+   * Creates a new IRCAdapter
+   * @param {Object} opts Options
+   * @param {String} opts.host Host of the IRC server
+   * @param {Number} [opts.port=6667] Port of the IRC server
+   * @param {Boolean} [opts.tls=false] Whether to connect with TLS
+   * @param {String} [opts.nick=tptmp] Nick of the bridge, _ is appended
+   *   while it is taken
+   * @param {String} [opts.username] Username, defaults to the nick
+   * @param {String} [opts.realname=TPTMP bridge] Real name
+   * @param {String} [opts.password] Server password
+   * @param {Object} [opts.keys={}] Keys of channels, by channel
+   * @param {String[]} [opts.ignore=[]] Nicks whose messages are not bridged,
+   *   such as other bridges
+   * @param {String} [opts.prefix=''] Prefix of in-game nicks on IRC
+   * @param {Number} [opts.reconnectDelay=10000] How long to wait before
+   *   reconnecting, in ms
+   * @param {Number} [opts.rate=2] Lines sent per second, after a burst of 5
+   */
+  constructor(opts) {
+    super();
+    this.opts = Object.assign({
+      port: 6667,
+      tls: false,
+      nick: 'tptmp',
+      username: null,
+      realname: 'TPTMP bridge',
+      password: null,
+      keys: {},
+      ignore: [],
+      prefix: '',
+      reconnectDelay: 10 * 1000,
+      rate: 2
+    }, opts);
+    this.nick = this.opts.nick;
+    this.channels = [];
+    this.socket = null;
+    this.ready = false;
+    this._running = false;
+    this._buffer = '';
+    this._queue = [];
+    this._bucket = new TokenBucket(this.opts.rate, 5);
+    this._drainTimer = null;
+    this._reconnectTimer = null;
+  }
+  /**
+   * Connect to the IRC server, again whenever the connection is lost
+   * @param {String[]} channels Channels to join
+   */
+  start(channels) {
+    this.channels = channels;
+    this._running = true;
+    this._connect();
+  }
+  /**
+   * Disconnect from the IRC server
+   */
+  stop() {
+    this._running = false;
+    clearTimeout(this._reconnectTimer);
+    if (!this.socket) return;
+    this._queue = [];
+    this.socket.write('QUIT :Bridge stopped\r\n');
+    this.socket.end();
+  }
+  /**
+   * Send activity of a room to a channel
+   * @param {String} channel The channel
+   * @param {Object} event See Adapter.prototype.send
+   */
+  send(channel, event) {
+    let text = this.format(event, this.opts.prefix);
+    // split on characters rather than bytes, in-game chat is ASCII
+    for (let i = 0; i < text.length; i += MAX_TEXT) {
+      this.write(`PRIVMSG ${channel} :${text.slice(i, i + MAX_TEXT)}`);
+    }
+  }
+  /**
+   * Queue a line to the IRC server, lines are sent at opts.rate
+   * @param {String} line The line, without CRLF
+   */
+  write(line) {
+    if (!this.ready) return;
+    this._queue.push(line.replace(/[\r\n]/g, ' '));
+    this._drain();
+  }
+  /**
+   * Send queued lines while the rate allows it
+   */
+  _drain() {
+    if (this._drainTimer) return;
+    while (this._queue.length && this.socket) {
+      if (!this._bucket.take()) {
+        this._drainTimer = setTimeout(() => {
+          this._drainTimer = null;
+          this._drain();
+        }, 1000 / this.opts.rate);
+        return;
+      }
+      this.socket.write(this._queue.shift() + '\r\n');
+    }
+  }
+  /**
+   * Open the connection and register
+   */
+  _connect() {
+    let {host, port} = this.opts;
+    this.nick = this.opts.nick;
+    this.socket = this.opts.tls ?
+      tls.connect({host, port, servername: host}) : net.connect(port, host);
+    this.socket.setEncoding('utf8');
+    this.socket.on('data', data => this.dataHandler(data))
+    .on('error', err => this.emit('adapterError', err))
+    .on('close', () => this._closed());
+    if (this.opts.password) this._raw(`PASS ${this.opts.password}`);
+    this._raw(`NICK ${this.nick}`);
+    this._raw(`USER ${this.opts.username || this.nick} 0 * ` +
+      `:${this.opts.realname}`);
+  }
+  /**
+   * Handles the connection closing
+   */
+  _closed() {
+    let wasReady = this.ready;
+    this.socket = null;
+    this.ready = false;
+    this._buffer = '';
+    clearTimeout(this._drainTimer);
+    this._drainTimer = null;
+    if (wasReady) this.emit('disconnect', 'Connection closed');
+    if (!this._running) return;
+    this._reconnectTimer = setTimeout(() => this._connect(),
+      this.opts.reconnectDelay);
+  }
+  /**
+   * Write a line right away, for registration and replies to pings
+   * @param {String} line The line, without CRLF
+   */
+  _raw(line) {
+    if (this.socket) this.socket.write(line + '\r\n');
+  }
+  /**
+   * Handles data input
+   * @param {String} data Data received from the socket
+   */
+  dataHandler(data) {
+    this._buffer += data;
+    let lines = this._buffer.split(/\r?\n/);
+    this._buffer = lines.pop();
+    for (let line of lines) {
+      if (!line) continue;
+      try {
+        this.lineHandler(parseLine(line));
+      } catch (err) {
+        this.emit('adapterError', err);
+      }
+    }
+  }
+  /**
+   * Handles a line from the IRC server
+   * @param {Object} line The parsed line, see parseLine
+   */
+  lineHandler({nick, command, params}) {
+    switch (command) {
+      case 'PING': {
+        this._raw(`PONG :${params[0] || ''}`);
+        break;
+      }
+      case '001': {
+        this.nick = params[0];
+        this.ready = true;
+        for (let channel of this.channels) {
+          let key = this.opts.keys[channel];
+          this._raw(`JOIN ${channel}${key ? ' ' + key : ''}`);
+        }
+        this.emit('ready');
+        break;
+      }
+      case '433': { // nick in use
+        if (this.ready) break;
+        this.nick += '_';
+        this._raw(`NICK ${this.nick}`);
+        break;
+      }
+      case 'NICK': {
+        if (nick === this.nick) this.nick = params[0];
+        break;
+      }
+      case 'PRIVMSG': {
+        if (!nick || this._ignored(nick)) break;
+        let [channel, text] = params;
+        if (!this.channels.includes(channel)) break;
+        let action = /^\x01ACTION (.*?)\x01?$/.exec(text);
+        if (action) text = action[1];
+        else if (text[0] === '\x01') break; // other CTCP
+        this.emit('message', channel, nick, text.replace(FORMATTING, ''),
+          !!action);
+        break;
+      }
+      case 'JOIN': {
+        if (nick && !this._ignored(nick)) this.emit('join', params[0], nick);
+        break;
+      }
+      case 'PART': {
+        if (nick && !this._ignored(nick)) this.emit('part', params[0], nick);
+        break;
+      }
+      case 'KICK': {
+        if (params[1] === this.nick) {
+          // try to get back in
+          this._raw(`JOIN ${params[0]}`);
+        } else {
+          this.emit('part', params[0], params[1]);
+        }
+        break;
+      }
+      case 'QUIT': {
+        if (!nick || this._ignored(nick)) break;
+        for (let channel of this.channels) this.emit('part', channel, nick);
+        break;
+      }
+    }
+  }
+  /**
+   * Whether messages from a nick are not bridged
+   * @param {String} nick The nick
+   * @return {Boolean}
+   */
+  _ignored(nick) {
+    nick = nick.toLowerCase();
+    return nick === this.nick.toLowerCase() ||
+      this.opts.ignore.some(n => n.toLowerCase() === nick);
+  }
+}
+
+IRCAdapter.parseLine = parseLine;
+
+module.exports = IRCAdapter;
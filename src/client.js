@@ -1,30 +1,65 @@
 const EventEmitter = require('events');
-const constants = require('./constants');
+const protocol = require('./protocol');
+const {describe} = require('./bans');
+const {RateLimiter} = require('./ratelimit');
+const policy = require('./policy');
+const dialect = require('./dialect');
+const {Queue, after} = require('./middleware');
+const Outbox = require('./outbox');
+const {DESTRUCTIVE} = require('./vote');
+
+// time without dropped packets after which a flooding client is synced back
+const RESYNC_DELAY = 1000;
 
 /** Represents a tptmp client */
 class Client extends EventEmitter {
   /**
    * Creates a new Client object
    * @param {Server} server The server the client belongs to
-   * @param {Socket} socket The socket of the client
+   * @param {Socket} socket The socket of the client. Any duplex stream with
+   *   remoteAddress and setTimeout works, such as VirtualSocket and
+   *   WebSocketStream.
    */
   constructor(server, socket) {
     super();
     this.server = server;
     this.socket = socket;
+    this.ip = socket.remoteAddress;
     this.connected = true;
+    // whether the connection was lost and the client waits to resume, see drop
+    this.dropped = false;
+    this._resumeTimer = null;
+    this._resyncTimer = null;
     this.nick = null;
     this.version = [];
+    // the protocol of the version of the client, set by the handshake
+    this.dialect = null;
     this.room = null;
     this.brush = 0;
-    this.brushSize = Buffer.from([4, 4]);
-    this.brushSelection = [
-      Buffer.from([0, 1]), Buffer.from([64, 0]), Buffer.from([128, 0]),
-      Buffer.from([192, 0])
-    ];
-    this.replaceMode = '0';
-    this.deco = Buffer.from([0, 0, 0, 0]);
+    this.brushSize = {w: 4, h: 4};
+    this.brushSelection = [1, 0, 0, 0];
+    this.replaceMode = 0;
+    this.deco = {a: 0, r: 0, g: 0, b: 0};
     this.isChat = false;
+    // whether the server makes up the user, as bridges and replays do; such
+    // users are never held or take the place of a dropped client
+    this.virtualUser = false;
+    this.lastActive = Date.now();
+    // whether the client proved it owns its registered nick
+    this.authenticated = false;
+    this._identifyTimer = null;
+    this._identifyFailures = 0;
+    // lowercased nicks whose chat and whispers are not shown to the client
+    this.ignored = new Set();
+    // nick of the last client that whispered to this one, for /r
+    this.lastWhisper = null;
+    // packets wait here for middleware to finish with the ones before them
+    this.queue = new Queue(err => {
+      this.server.emit('clientError', err, this);
+      this.disconnect('Internal error');
+    });
+    this._handshakeTimer = null;
+    this.outbox = new Outbox(this, socket);
 
     // find an id
     for (let i = 0; i < 256; i++) {
@@ -33,382 +68,437 @@ class Client extends EventEmitter {
         break;
       }
     }
+    // identifies the client across linked servers
+    this.uid = `${this.id}@${this.server.opts.name}`;
 
-    this._data = Buffer.alloc(0);
-    this._initial = true;
-    // timeout after 90 seconds
+    let metrics = this.server.metrics;
+    this.decoder = new protocol.Decoder('serverbound', {
+      maxBlobSize: this.server.opts.maxPayloadSize,
+      maxStringLength: this.server.opts.maxStringLength,
+      strict: true,
+      onPacket: metrics ? (packet, length) => metrics.received(packet, length) :
+        null,
+      onHandshake: packet => {
+        let version = [packet.major, packet.minor, packet.script];
+        this.dialect = this.server.dialects.find(d => d.matches(version)) ||
+          null;
+        if (this.dialect) this.decoder.tables = this.dialect.tables;
+      }
+    });
+    this.rateLimiter = new RateLimiter(this.server.rateLimits);
     // the client should send a ping every minute
-    this.socket.setTimeout(90 * 1000);
-    this.socket.on('timeout', () => this.disconnect('Ping timeout'))
-    .on('error', err => this.disconnect(err.message))
+    this.socket.setTimeout(this.server.opts.timeout);
+    this.socket.on('data', data => this.dataHandler(data))
+    .on('timeout', () => this.drop('Ping timeout'))
+    .on('error', err => this.drop(err.message))
     .on('end', () => this.disconnect('Client left'))
-    .on('close', hadError => this.connected = false);
-    this.dataHandler();
+    .on('close', () => this.drop());
+    let {handshakeTimeout} = this.server.opts;
+    if (handshakeTimeout) {
+      this._handshakeTimer = setTimeout(() =>
+        this.disconnect('Handshake timeout'), handshakeTimeout);
+    }
   }
   /**
-   * Read socket until null byte
-   * @return {Promise} Promise resolving to the data
+   * Handles data input
+   * @param {Buffer} data Data received from the socket
    */
-  readUntilNull() {
-    let data = [];
-    return new Promise((resolve, reject) => {
-      let handler = () => {
-        let d = this.socket.read(1);
-        while (d) {
-          if (d[0] === 0) {
-            this.socket.removeListener('readable', handler);
-            return resolve(Buffer.concat(data));
-          }
-          data.push(d);
-          d = this.socket.read(1);
-        }
-      };
-      this.socket.on('readable', handler);
-      handler();
-    });
+  dataHandler(data) {
+    // what arrives after a disconnect is not read
+    if (!this.connected) return;
+    let packets;
+    try {
+      packets = this.decoder.push(data);
+    } catch (err) {
+      if (err instanceof protocol.ProtocolError) {
+        this.server.emit('protocolError', this, err);
+        this.disconnect(`Protocol error: ${err.message}`);
+      } else {
+        this.server.emit('clientError', err, this);
+        this.disconnect('Internal error');
+      }
+      this.socket.destroy();
+      return;
+    }
+    for (let packet of packets) this.queue.push(() => this.receive(packet));
   }
   /**
-   * Read number of bytes from the socket
-   * @param {Number} n Number of bytes to read
-   * @return {Promise} Promise resolving to the data
+   * Handle a decoded packet once the packets before it are handled
+   * @param {Object} packet The packet
+   * @return {Promise} Promise resolving once it is handled, if middleware
+   *   is async
    */
-  readBytes(n) {
-    return new Promise((resolve, reject) => {
-      let handler = () => {
-        let d = this.socket.read(n);
-        if (d) {
-          this.socket.removeListener('readable', handler);
-          return resolve(d);
-        }
-      };
-      this.socket.on('readable', handler);
-      handler();
-    });
+  receive(packet) {
+    if (!this.connected) return;
+    if (packet.type === 'handshake') return this.handshake(packet);
+    packet = this.dialect.receive(packet);
+    if (!packet) return;
+    return after(this.server.middleware.run('packet', {client: this, packet}),
+      ctx => {
+        if (ctx.rejected || !this.connected) return;
+        return this.packetHandler(ctx.packet);
+      });
   }
   /**
-   * Handles data input
+   * Refuse the handshake and disconnect the client
+   * @param {String} message Message shown to the client
+   * @param {String} reason Reason for disconnection
    */
-  async dataHandler() {
-    // because of the way the protocol is designed it is a whole lot
-    // easier to just use an async while loop rather than trying to
-    // process a stream
-    let buf = await this.readUntilNull();
-    this._initial = false;
-    this.version = [buf[0], buf[1], buf[2]];
-    let [major, minor, scriptVer] = buf;
-    if (
-      major < constants.version.MAJOR_MIN ||
-      (major === constants.version.MAJOR_MIN &&
-      minor < constants.version.MINOR_MIN)
-    ) {
-      this.socket.write(`\x00Client out of date (expected at least ` +
-        `${constants.version.MAJOR_MIN}.${constants.version.MINOR_MIN})\x00`);
-      this.disconnect(`Old version: ${major}.${minor}`);
-      return;
-    } else if (
-      major > constants.version.MAJOR_MAX ||
-      (major === constants.version.MAJOR_MAX &&
-      minor > constants.version.MINOR_MAX)
-    ) {
-      this.socket.write(`\x00Client too new (expected at most ` +
-        `${constants.version.MAJOR_MAX}.${constants.version.MINOR_MAX})\x00`);
-      this.disconnect(`New version: ${major}.${minor}`);
-      return;
-    } else if (scriptVer !== constants.version.SCRIPT) {
-      this.socket.write(`\x00Script version mismatch (expected ` +
-        `${this.constants.SCRIPT})\x00`);
-      this.disconnect(`Script version mismatch: ${scriptVer}`);
+  reject(message, reason) {
+    this.send({type: 'handshakeResponse', ok: false, message});
+    this.disconnect(reason);
+  }
+  /**
+   * Handles the initial handshake
+   * @param {Object} packet The decoded handshake
+   * @return {Promise} Promise resolving once it is handled, if middleware
+   *   is async
+   */
+  handshake(packet) {
+    let {major, minor, script: scriptVer} = packet;
+    let message = (name, details) => this.server.rejectMessage(name, details);
+    this.version = [major, minor, scriptVer];
+    if (!this.dialect) {
+      let {reason, expected} = dialect.mismatch(this.server.dialects,
+        this.version);
+      this.reject(message(reason, {expected, version: this.version}), {
+        outdated: `Old version: ${major}.${minor}`,
+        tooNew: `New version: ${major}.${minor}`,
+        script: `Script version mismatch: ${scriptVer}`
+      }[reason]);
       return;
     }
-    let nick = buf.slice(3).toString();
+    // set for handlers that look at the client
+    this.nick = packet.nick;
+    return after(this.server.middleware.run('handshake', {
+      client: this,
+      nick: packet.nick,
+      version: this.version
+    }), ctx => {
+      if (!this.connected) return;
+      if (ctx.rejected) {
+        let reason = ctx.reason || 'Connection refused';
+        this.reject(reason, `Refused (${reason})`);
+        return;
+      }
+      this.identify(ctx.nick);
+    });
+  }
+  /**
+   * Check the nick of a client that passed the handshake and let it in
+   * @param {String} nick The nick
+   */
+  identify(nick) {
+    let {opts} = this.server;
+    let message = (name, details) => this.server.rejectMessage(name, details);
     this.nick = nick;
-    if (!nick.match(/^[\w-_]+$/)) {
-      this.socket.write(`\x00Bad nickname\x00`);
-      this.disconnect(`Invalid nickname`);
-      return;
-    } else if (nick.length > 32) {
-      this.socket.write(`\x00Nick too long\x00`);
+    let refusal = policy.checkName(nick, opts.nickPattern, opts.maxNickLength,
+      opts.validateNick, this);
+    if (refusal && refusal.reason === 'tooLong') {
       this.nick = this.nick.slice(0, 64); // for logging purposes
-      this.disconnect(`Nick was too long (${nick.length})`);
+      this.reject(message('nickTooLong', {nick, max: opts.maxNickLength}),
+        `Nick was too long (${nick.length})`);
+      return;
+    } else if (refusal) {
+      this.reject(refusal.message || message('badNick', {nick}),
+        'Invalid nickname');
+      return;
+    }
+    let ban = this.server.bans.find('ban', this);
+    if (ban) {
+      this.reject(message('banned', {ban: describe(ban), entry: ban}),
+        `Banned nick (${nick})`);
       return;
     }
     for (let client of this.server.clients) {
-      if (nick === client[1].nick && client[0] !== this.id) {
-        // this message is hardcoded into the client
-        this.socket.write(`\x00This nick is already on the server\x00`);
-        this.disconnect(`Nick taken (${nick})`);
+      // dropped clients keep their nick for whoever can resume them
+      if (nick === client[1].nick && client[0] !== this.id &&
+        !client[1].dropped) {
+        this.reject(message('nickTaken', {nick}), `Nick taken (${nick})`);
         return;
       }
     }
-    this.socket.write('\x01');
+    clearTimeout(this._handshakeTimer);
+    this.send({type: 'handshakeResponse', ok: true});
     this.emit('identified');
     this.server.emit('newClient', this);
-    if (!this.server.hooks.connect(this)) return;
-    this.join('null');
-
-    // main loop
-    while (this.connected) {
-      let cmd = (await this.readBytes(1))[0];
-      switch (cmd) {
-        case 16: { // join
-          let r = (await this.readUntilNull()).toString();
-          if (!r.match(/^[\w-_]+$/) || r.length > 32) {
-            this.serverMessage('Invalid room name');
-            break;
-          }
-          if (!this.server.hooks.join(this, r)) break;
-          this.part();
-          this.join(r);
-          break;
-        }
-        case 19: { // message
-          let message = (await this.readUntilNull()).toString();
-          if (!message.match(/^[ -~]*$/)) {
-            this.serverMessage('Invalid characters in message');
-            break;
-          } else if (message.length > 200) {
-            this.serverMessage('Message too long');
-            break;
-          }
-          if (!this.server.hooks.message(this, message)) break;
-          this.server.emit('chat', this, message);
-          this.room.send(Buffer.from([19, this.id, ...Buffer.from(message), 0]),
-            this);
-          break;
-        }
-        case 20: { // emote
-          let message = (await this.readUntilNull()).toString();
-          if (!message.match(/^[ -~]*$/)) {
-            this.serverMessage('Invalid characters in message');
-            break;
-          } else if (message.length > 200) {
-            this.serverMessage('Message too long');
-            break;
-          }
-          if (!this.server.hooks.message(this, message)) break;
-          this.server.emit('chat', this, '* ' + message);
-          this.room.send(Buffer.from([20, this.id, ...Buffer.from(message), 0]),
-            this);
-          break;
-        }
-        case 21: { // kick
-          let nick = (await this.readUntilNull()).toString();
-          let reason = (await this.readUntilNull()).toString();
-          if (!reason.match(/^[ -~]*$/)) {
-            this.serverMessage('Invalid characters in kick reason');
-            break;
-          } else if (reason.length > 200) {
-            this.serverMessage('Kick reason too long');
-            break;
-          } else if (this.room.name === 'null') {
-            this.serverMessage('You can\'t kick people from the lobby');
-            break;
-          } else if (this.room.op !== this.id) {
-            this.serverMessage('You can\'t kick people from here');
-            break;
-          }
-          for (let c of this.room.clients) {
-            if (c.nick === nick) {
-              c.kick(this, reason || undefined);
-              break;
-            }
-          }
-          break;
-        }
-        case 2: { // ping
-          // nothing to do here
-          break;
-        }
-        case 32: { // mouse position
-          let data = await this.readBytes(3);
-          this.sendToRoom(Buffer.from([32, this.id, ...data]));
-          break;
-        }
-        case 33: { // mouse click
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([33, this.id, ...data]));
+    let old = this.findDropped();
+    if (old && this.server.ownsNick(this)) this.resume(old);
+    else this.join(opts.lobby);
+    if (opts.motd) this.serverMessage(this.server.opts.motd);
+    if (this.server.accounts && this.server.accounts.isRegistered(nick)) {
+      this.requireIdentify();
+    }
+  }
+  /**
+   * Ask the client to identify for its registered nick within the grace
+   * period, after which it is renamed or disconnected
+   */
+  requireIdentify() {
+    let {grace, action} = this.server.opts.accounts;
+    let prefix = this.server.opts.commandPrefix;
+    this.serverMessage(`${this.nick} is registered, use ${prefix}identify ` +
+      `<password> within ${Math.round(grace / 1000)} seconds`, 255, 200, 50);
+    clearTimeout(this._identifyTimer);
+    this._identifyTimer = setTimeout(() => {
+      if (!this.connected || this.authenticated) return;
+      this.server.emit('identifyTimeout', this);
+      if (action === 'disconnect') {
+        this.serverMessage('You did not identify in time', 255, 50, 50);
+        this.disconnect('Not identified');
+        return;
+      }
+      let nick = this.server.guestNick(this);
+      this.serverMessage(`You did not identify in time, you are now ${nick}`,
+        255, 50, 50);
+      this.rename(nick);
+    }, grace);
+  }
+  /**
+   * Mark the client as owning its nick
+   */
+  authenticate() {
+    clearTimeout(this._identifyTimer);
+    this._identifyFailures = 0;
+    this.authenticated = true;
+    this.emit('authenticated');
+    this.server.emit('authenticated', this);
+    // held back until the client proved it owns the nick
+    let old = this.findDropped();
+    if (old) this.resume(old);
+  }
+  /**
+   * Find the dropped client this client can take the place of
+   * Without accounts the nick is all it takes, virtual users never do.
+   * @return {Client} The client with the same nick, or undefined if there is
+   *   none
+   */
+  findDropped() {
+    if (this.virtualUser) return;
+    for (let client of this.server.clients.values()) {
+      if (client.dropped && client !== this && client.nick === this.nick) {
+        return client;
+      }
+    }
+  }
+  /**
+   * Take the place of a dropped client, see drop
+   * The client gets the id, room and drawing state of the dropped one, so
+   * that members of the room see the same user carry on. Op and spectator
+   * status follow the id.
+   * @param {Client} old The dropped client
+   */
+  resume(old) {
+    let {server} = this;
+    clearTimeout(old._resumeTimer);
+    old.dropped = false;
+    // the lobby, when the client had to identify first
+    if (this.room) this.part();
+    server.clients.delete(this.id);
+    this.id = old.id;
+    this.uid = old.uid;
+    server.clients.set(this.id, this);
+    for (let key of ['brush', 'brushSize', 'brushSelection', 'replaceMode',
+      'deco']) {
+      this[key] = old[key];
+    }
+    this.room = old.room;
+    this.room.resume(old, this);
+    this.emit('resume', old);
+    server.emit('resume', this, old);
+  }
+  /**
+   * Change the nick of the client, which is no longer authenticated
+   * The room sees the client leave and come back with the new nick.
+   * @param {String} nick The new nick
+   */
+  rename(nick) {
+    let old = this.nick;
+    clearTimeout(this._identifyTimer);
+    this.authenticated = false;
+    this.nick = nick;
+    if (this.room) {
+      this.sendToRoom({type: 'userPart', id: this.id});
+      this.sendToRoom({type: 'userJoin', id: this.id, nick});
+      for (let packet of this.room.stateOf(this)) this.sendToRoom(packet);
+    }
+    this.emit('rename', old, nick);
+    this.server.emit('rename', this, old);
+  }
+  /**
+   * Handles a packet received after the handshake
+   * @param {Object} packet The decoded packet
+   * @return {Promise} Promise resolving once it is handled, if middleware
+   *   is async
+   */
+  packetHandler(packet) {
+    if (packet.type !== 'ping') this.lastActive = Date.now();
+    let limit = this.rateLimiter.check(packet.type);
+    if (limit) {
+      this.flood(limit);
+      return;
+    }
+    switch (packet.type) {
+      case 'join': {
+        // room:password joins password protected rooms
+        let [, r, password] = packet.room.match(/^([^:]*)(?::(.*))?$/);
+        return this.requestJoin(r, password);
+      }
+      case 'chat':
+      case 'emote': {
+        return this.chat(packet.message, packet.type === 'emote');
+      }
+      case 'kick': {
+        let {nick, reason} = packet;
+        if (!reason.match(/^[ -~]*$/)) {
+          this.serverMessage('Invalid characters in kick reason');
           break;
-        }
-        case 34: { // brush size
-          let data = await this.readBytes(2);
-          this.brushSize = data;
-          this.sendToRoom(Buffer.from([34, this.id, ...data]));
+        } else if (reason.length > this.server.opts.maxMessageLength) {
+          this.serverMessage('Kick reason too long');
           break;
-        }
-        case 35: { // brush shape change
-          this.brush = this.brush % 3 + 1;
-          this.sendToRoom(Buffer.from([35, this.id]));
+        } else if (this.room.isLobby()) {
+          this.serverMessage('You can\'t kick people from the lobby');
           break;
-        }
-        case 36: { // modifier
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([36, this.id, ...data]));
+        } else if (!this.room.isOp(this)) {
+          this.serverMessage('You can\'t kick people from here');
           break;
         }
-        case 37: { // selected element
-          let data = await this.readBytes(2);
-          let button = Math.floor(data[0] / 64);
-          if (data[0] !== 194 && data[1] !== 195) {
-            this.brushSelection[button + 1] = data;
-            this.sendToRoom(Buffer.from([37, this.id, ...data]));
-          } else {
-            this.isChat = true;
+        for (let c of this.room.clients) {
+          if (c.nick === nick) {
+            c.kick(this, reason || undefined);
+            break;
           }
-          break;
-        }
-        case 38: { // replace mode
-          let data = await this.readBytes(1);
-          this.replaceMode = data;
-          this.sendToRoom(Buffer.from([38, this.id, ...data]));
-          break;
-        }
-        case 48: { // cmode default
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([48, this.id, ...data]));
-          break;
-        }
-        case 49: { // pause
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([49, this.id, ...data]));
-          break;
-        }
-        case 50: { // step frame
-          this.sendToRoom(Buffer.from([50, this.id]));
-          break;
-        }
-        case 51: { // deco mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([51, this.id, ...data]));
-          break;
-        }
-        case 52: { // HUD mode, no longer used
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([52, this.id, ...data]));
-          break;
-        }
-        case 53: { // ambient heat mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([53, this.id, ...data]));
-          break;
-        }
-        case 54: { // newtonian gravity mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([54, this.id, ...data]));
-          break;
-        }
-        case 55: { // debug mode, not used and cannot be implemented
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([55, this.id, ...data]));
-          break;
-        }
-        case 56: { // legacy heat mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([56, this.id, ...data]));
-          break;
-        }
-        case 57: { // water equalization
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([57, this.id, ...data]));
-          break;
-        }
-        case 58: { // gravity mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([58, this.id, ...data]));
-          break;
-        }
-        case 59: { // air mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([59, this.id, ...data]));
-          break;
-        }
-        case 60: { // clear sparks
-          this.sendToRoom(Buffer.from([60, this.id]));
-          break;
-        }
-        case 61: { // clear pressure
-          this.sendToRoom(Buffer.from([61, this.id]));
-          break;
-        }
-        case 62: { // invert pressure
-          this.sendToRoom(Buffer.from([62, this.id]));
-          break;
-        }
-        case 63: { // clear simulation
-          this.sendToRoom(Buffer.from([63, this.id]));
-          break;
-        }
-        case 64: { // manual graphics in graphics menu
-          let data = await this.readBytes(3);
-          this.sendToRoom(Buffer.from([64, this.id, ...data]));
-          break;
-        }
-        case 65: { // deco color select
-          let data = await this.readBytes(4);
-          this.deco = data;
-          this.sendToRoom(Buffer.from([65, this.id, ...data]));
-          break;
-        }
-        case 66: { // stamp
-          let data = await this.readBytes(6);
-          let location = data.slice(0, 3);
-          let size = (data[3] << 16) + (data[4] << 8) + data[5];
-          let stamp = await this.readBytes(size);
-          this.sendToRoom(Buffer.from([
-            66, this.id, ...location, data[3], data[4], data[5], ...stamp
-          ]));
-          break;
-        }
-        case 67: { // clear area
-          let data = await this.readBytes(6);
-          this.sendToRoom(Buffer.from([67, this.id, ...data]));
-          break;
-        }
-        case 68: { // edge mode
-          let data = await this.readBytes(1);
-          this.sendToRoom(Buffer.from([68, this.id, ...data]));
-          break;
-        }
-        case 69: { // load save id
-          let data = await this.readBytes(3);
-          this.sendToRoom(Buffer.from([69, this.id, ...data]));
-          break;
-        }
-        case 70: { // reload save
-          this.sendToRoom(Buffer.from([70, this.id]));
-          break;
-        }
-        case 128: { // sync reply
-          let data = await this.readBytes(4);
-          let id = data[0];
-          let size = (data[1] << 16) + (data[2] << 8) + data[3];
-          let stamp = await this.readBytes(size);
-          let client = this.server.clients.get(id);
-          if (!client) break; // already disconnected or this is junk
-          client.socket.write(Buffer.from([129, ...data.slice(1), ...stamp]));
-          break;
-        }
-        case 130: { // sync properties reply
-          let data = await this.readBytes(3);
-          let client = this.server.clients.get(data[0]);
-          if (!client) break; // already disconnected, or junk
-          let command = data[1];
-          if (!constants.VALID_130.includes(command)) break; // this is bogus
-          client.socket.write(Buffer.from([command, this.id, data[2]]));
-          break;
         }
+        break;
+      }
+      case 'ping': {
+        // nothing to do here
+        break;
+      }
+      case 'syncReply': {
+        let client = this.server.clients.get(packet.id);
+        // already disconnected, or junk if the room did not ask for it
+        if (!client || client.room !== this.room) break;
+        this.room.sync(this, client, packet.data);
+        break;
+      }
+      case 'syncProperty': {
+        let client = this.server.clients.get(packet.id);
+        if (!client || client.room !== this.room) break;
+        // bogus
+        if (!this.dialect.syncProperties.includes(packet.opcode)) break;
+        this.room.syncProperty(this, client, packet.opcode, packet.value);
+        break;
+      }
+      default: {
+        this.relay(packet);
       }
     }
   }
   /**
-   * Disconnect a client
+   * Record the drawing state carried by a packet on a client
+   * @param {Client} client The client that sent the packet
+   * @param {Object} packet The decoded packet
+   */
+  static trackState(client, packet) {
+    switch (packet.type) {
+      case 'brushSize': {
+        client.brushSize = {w: packet.w, h: packet.h};
+        break;
+      }
+      case 'brushShape': {
+        client.brush = client.brush % 3 + 1;
+        break;
+      }
+      case 'selectElement': {
+        client.brushSelection[packet.button] = packet.element;
+        break;
+      }
+      case 'replaceMode': {
+        client.replaceMode = packet.mode;
+        break;
+      }
+      case 'decoColor': {
+        let {a, r, g, b} = packet;
+        client.deco = {a, r, g, b};
+        break;
+      }
+    }
+  }
+  /**
+   * Record drawing state carried by a packet and relay it to the room
+   * @param {Object} packet The decoded packet
+   */
+  relay(packet) {
+    // bytes 194 195 mark a chat-only client rather than a selection
+    if (packet.type === 'selectElement' && packet.button === 3 &&
+      packet.element === 707) {
+      this.isChat = true;
+      return;
+    }
+    if (!this.room || !this.room.canSpeak(this)) return;
+    Client.trackState(this, packet);
+    // kept for when the client draws again, which Room.setSpectator sends
+    if (this.room.isSpectator(this)) return;
+    packet = Object.assign({}, packet, {id: this.id});
+    if (DESTRUCTIVE.includes(packet.type) &&
+      !this.room.checkAction(this, packet)) {
+      return;
+    }
+    this.sendToRoom(packet);
+  }
+  /**
+   * Disconnect a client, or let go of a dropped one
    * @param {String} [reason=Lost connection] Reason for disconnection
    */
   disconnect(reason = 'Lost connection') {
+    if (!this.connected && !this.dropped) return;
+    let dropped = this.dropped;
+    this.connected = false;
+    this.dropped = false;
+    clearTimeout(this._identifyTimer);
+    clearTimeout(this._handshakeTimer);
+    clearTimeout(this._resumeTimer);
+    clearTimeout(this._resyncTimer);
     this.emit('disconnect', reason);
     this.server.disconnect(this, reason);
-    this.socket.end();
+    // the connection of a dropped client is gone already
+    if (!dropped) {
+      this.outbox.flush(true);
+      this.outbox.stop();
+      this.socket.end();
+    }
     if (this.room) this.part();
   }
+  /**
+   * Handle a connection that was lost rather than closed by the client
+   * Clients in a room other than the lobby are held for opts.resumeTimeout:
+   * they stay in the room without being sent anything, and a client that
+   * connects with the same nick takes their place, see resume. They are
+   * disconnected once the time runs out, others and virtual users right away.
+   * @param {String} [reason=Lost connection] Reason for disconnection
+   */
+  drop(reason = 'Lost connection') {
+    if (!this.connected) return;
+    let {resumeTimeout} = this.server.opts;
+    if (!resumeTimeout || !this.room || this.room.isLobby() ||
+      this.virtualUser || this.server.closing) {
+      this.disconnect(reason);
+      return;
+    }
+    this.connected = false;
+    this.dropped = true;
+    clearTimeout(this._identifyTimer);
+    clearTimeout(this._handshakeTimer);
+    clearTimeout(this._resyncTimer);
+    this.outbox.clear();
+    this.socket.destroy();
+    this._resumeTimer = setTimeout(() => this.disconnect(reason),
+      resumeTimeout);
+    this.emit('drop', reason);
+    this.server.emit('drop', this, reason);
+    this.room.drop(this);
+  }
   /**
    * Join the client to a room
    * @param {String} r Name of room
@@ -421,23 +511,175 @@ class Client extends EventEmitter {
   /**
    * Part the client from the current room
    * Whatever calls this function must also join the client back to the room
-   * 'null' if the client is still connected to the server
+   * the lobby if the client is still connected to the server
    */
   part() {
     this.emit('part');
     this.server.part(this, this.room);
     this.room = null;
   }
+  /**
+   * Act on a packet that went over a rate limit, the packet is dropped
+   * @param {Object} limit The limit, as returned by RateLimiter.check
+   */
+  flood(limit) {
+    this.server.emit('flood', this, limit.name, limit.action);
+    if (limit.resync) {
+      // waits for the flood to end rather than asking for a sync per packet
+      clearTimeout(this._resyncTimer);
+      this._resyncTimer = setTimeout(() => {
+        if (this.connected && this.room) this.room.requestSync(this);
+      }, RESYNC_DELAY);
+    }
+    switch (limit.action) {
+      case 'warn': {
+        if (!limit.first) break;
+        this.serverMessage(`You are sending too fast (${limit.name}), ` +
+          `slow down`, 255, 50, 50);
+        break;
+      }
+      case 'mute': {
+        if (!limit.first || this.server.bans.find('mute', this)) break;
+        this.server.bans.add({
+          type: 'mute',
+          nick: this.nick,
+          duration: this.server.opts.floodMuteDuration,
+          reason: `Flooding (${limit.name})`
+        });
+        break;
+      }
+      case 'kick': {
+        this.serverMessage(`You were kicked for flooding (${limit.name})`,
+          255, 50, 50);
+        this.disconnect(`Flooding (${limit.name})`);
+        break;
+      }
+    }
+  }
+  /**
+   * Send a chat message from the client to its room
+   * Messages starting with the command prefix are run as commands instead
+   * @param {String} message The message to send
+   * @param {Boolean} [emote=false] Whether the message is an emote
+   */
+  chat(message, emote = false) {
+    if (!message.match(/^[ -~]*$/)) {
+      this.serverMessage('Invalid characters in message');
+      return;
+    } else if (message.length > this.server.opts.maxMessageLength) {
+      this.serverMessage('Message too long');
+      return;
+    }
+    if (!emote && this.server.commands.isCommand(message)) {
+      this.server.commands.execute(this, message);
+      return;
+    }
+    if (this.server.bans.find('mute', this, this.room.name)) return;
+    if (!this.room.canSpeak(this)) {
+      this.serverMessage('This room is moderated, only voiced users can talk',
+        255, 50, 50);
+      return;
+    }
+    return after(this.server.middleware.run('chat', {
+      client: this,
+      message,
+      emote
+    }), ctx => {
+      if (!this.connected) return;
+      if (ctx.rejected) {
+        if (ctx.reason) this.serverMessage(ctx.reason, 255, 50, 50);
+        return;
+      }
+      let message = ctx.message;
+      this.server.emit('chat', this, emote ? '* ' + message : message);
+      this.sendToRoom({type: emote ? 'emote' : 'chat', id: this.id, message});
+    });
+  }
+  /**
+   * Send a private message to another client, in any room
+   * The message is not shown to the target if it ignores the client.
+   * @param {Client} target The client to message
+   * @param {String} message The message
+   */
+  whisper(target, message) {
+    this.server.emit('whisper', this, target, message);
+    this.serverMessage(`-> ${target.nick}: ${message}`, 255, 150, 255);
+    if (target.ignores(this)) return;
+    target.lastWhisper = this.nick;
+    target.serverMessage(`<- ${this.nick}: ${message}`, 255, 150, 255);
+  }
+  /**
+   * Whether chat and whispers of a client are hidden from this client
+   * @param {Client} client The other client
+   * @return {Boolean}
+   */
+  ignores(client) {
+    return client.nick !== null && this.ignored.has(client.nick.toLowerCase());
+  }
+  /**
+   * Move the client to another room if it is allowed to join it
+   * The client stays in its current room otherwise.
+   * @param {String} r Name of room
+   * @param {String} [password] Password for the room
+   * @return {Boolean} Whether the client joined the room, or a promise of it
+   *   if middleware is async
+   */
+  requestJoin(r, password) {
+    let {server} = this;
+    let check = r => server.checkRoomName(r, this) ||
+      server.checkJoin(this, r, password);
+    let refuse = refusal => {
+      if (refusal) this.serverMessage(refusal, 255, 50, 50);
+      return false;
+    };
+    let refusal = check(r);
+    if (refusal) return refuse(refusal);
+    return after(server.middleware.run('join', {
+      client: this,
+      room: r,
+      password
+    }), ctx => {
+      if (!this.connected) return false;
+      if (ctx.rejected) return refuse(ctx.reason);
+      // handlers may send the client elsewhere
+      if (ctx.room !== r) {
+        r = ctx.room;
+        password = ctx.password;
+        let refusal = check(r);
+        if (refusal) return refuse(refusal);
+      }
+      return after(server.middleware.run('part', {
+        client: this,
+        room: this.room,
+        to: r
+      }), ctx => {
+        if (!this.connected) return false;
+        if (ctx.rejected) return refuse(ctx.reason);
+        this.changeRoom(r);
+        return true;
+      });
+    });
+  }
+  /**
+   * Move the client from its current room to another
+   * @param {String} r Name of room
+   */
+  changeRoom(r) {
+    this.part();
+    this.join(r);
+  }
   /**
    * Kick a client from a room
-   * @param {Client} source The client that issued the kick
+   * @param {Client|String} source The client or name that issued the kick
    * @param {String} [reason=No reason given] Reason for the disconnection
    */
   kick(source, reason = 'No reason given') {
-    let message = `You were kicked by ${source.nick} (${reason})`;
+    let by = typeof source === 'string' ? source : source.nick;
+    let message = `You were kicked by ${by} (${reason})`;
     this.serverMessage(message, 255, 50, 50);
     this.emit('kicked', source, reason);
-    this.disconnect(`Kicked by ${source.nick} (${reason})`);
+    this.server.emit('kick', this, source, reason);
+    this.disconnect(`Kicked by ${by} (${reason})`);
   }
   /**
    * Send a server message to the client
@@ -447,15 +689,55 @@ class Client extends EventEmitter {
    * @param {Number} [b=255] Blue RGB value of message
    */
   serverMessage(message, r = 127, g = 255, b = 255) {
-    this.socket.write(Buffer.from([22, ...Buffer.from(message), 0, r, g, b]));
+    this.send({type: 'serverMessage', message, r, g, b});
   }
   /**
-   * Send a message to the room
-   * @param {String} message The message to send
-   * @param {Boolean} [includeSelf=false] Whether to send the message to self
+   * Disconnect the client because it does not keep up with what it is sent
+   * What it has not been sent yet is dropped.
+   */
+  slow() {
+    this.outbox.clear();
+    this.disconnect('Too slow (send queue full)');
+    this.socket.destroy();
+  }
+  /**
+   * Write raw data to the client
+   * @param {Buffer} buf Data to write
+   * @param {Object} [packet] The packet it encodes, so that it can be
+   *   superseded while the connection is congested
+   */
+  write(buf, packet) {
+    if (!this.connected) return;
+    this.outbox.write(buf, packet);
+  }
+  /**
+   * Send a packet to the client
+   * @param {Object} packet The clientbound packet to send
+   */
+  send(packet) {
+    let buf = this.dialect ? this.dialect.encode(packet) :
+      protocol.encode('clientbound', packet);
+    if (!buf) return;
+    if (this.server.metrics) this.server.metrics.sent(packet, buf.length);
+    this.write(buf, packet);
+  }
+  /**
+   * Write a packet encoded for the current protocol, translating it for the
+   * version of the client if needed
+   * @param {Object} packet The clientbound packet
+   * @param {Buffer} buf The encoded packet
+   */
+  writePacket(packet, buf) {
+    if (this.dialect) buf = this.dialect.encode(packet, buf);
+    if (buf) this.write(buf, packet);
+  }
+  /**
+   * Send a packet to the room
+   * @param {Object} packet The clientbound packet to send
+   * @param {Boolean} [includeSelf=false] Whether to send the packet to self
    */
-  sendToRoom(message, includeSelf = false) {
-    if (this.room) this.room.send(message, includeSelf ? {} : this);
+  sendToRoom(packet, includeSelf = false) {
+    if (this.room) this.room.send(packet, includeSelf ? {} : this);
   }
 }
 
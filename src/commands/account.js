@@ -0,0 +1,133 @@
+const {levels, CommandError} = require('./index');
+
+// wrong passwords allowed before the client is disconnected
+const MAX_FAILURES = 5;
+
+/**
+ * Register the nick registration commands
+ * @param {CommandRegistry} commands Registry to register the commands with
+ */
+function register(commands) {
+  let server = commands.server;
+  let accounts = server.accounts;
+
+  /**
+   * Check that a password is long enough
+   * @param {String} password The password
+   */
+  let checkPassword = password => {
+    let {minLength} = server.opts.accounts;
+    if (password.length < minLength) {
+      throw new CommandError(`Passwords need at least ${minLength} characters`);
+    }
+  };
+
+  /**
+   * Count a wrong password, disconnecting clients that guess
+   * @param {Client} client The client
+   */
+  let fail = client => {
+    if (++client._identifyFailures >= MAX_FAILURES) {
+      client.disconnect('Too many wrong passwords');
+    }
+    throw new CommandError('Wrong password');
+  };
+
+  commands.register('register', {
+    args: 1,
+    usage: '<password>',
+    description: 'Register your nick',
+    secret: true
+  }, async (client, [password]) => {
+    if (accounts.isRegistered(client.nick)) {
+      throw new CommandError(`${client.nick} is already registered`);
+    }
+    checkPassword(password);
+    try {
+      await accounts.register(client.nick, password);
+    } catch (err) {
+      throw new CommandError(err.message);
+    }
+    client.authenticate();
+    client.serverMessage(`${client.nick} is now registered to you`);
+  });
+
+  commands.register('identify', {
+    args: 1,
+    usage: '[nick] <password>',
+    description: 'Prove that you own a registered nick, taking it back ' +
+      'from whoever uses it',
+    secret: true
+  }, async (client, args) => {
+    let [nick, password] = args.length > 1 ? args : [client.nick, args[0]];
+    let account = accounts.get(nick);
+    if (!account) throw new CommandError(`${nick} is not registered`);
+    let same = account.nick.toLowerCase() === client.nick.toLowerCase();
+    if (same && client.authenticated) {
+      throw new CommandError('You are already identified');
+    }
+    if (!await accounts.verify(nick, password)) fail(client);
+    if (!client.connected) return;
+    if (account.nick !== client.nick) {
+      let holder = server.findClient(account.nick);
+      if (holder && holder !== client) {
+        if (holder.remote || holder.authenticated) {
+          throw new CommandError(`${account.nick} is in use`);
+        }
+        let guest = server.guestNick(holder);
+        holder.serverMessage(`${account.nick} was identified by its owner, ` +
+          `you are now ${guest}`, 255, 50, 50);
+        holder.rename(guest);
+      }
+      client.rename(account.nick);
+    }
+    client.authenticate();
+    client.serverMessage(`You are now identified as ${client.nick}`);
+  });
+
+  commands.register('password', {
+    args: 2,
+    usage: '<old password> <new password>',
+    description: 'Change the password of your nick',
+    secret: true
+  }, async (client, [old, password]) => {
+    if (!client.authenticated) {
+      throw new CommandError('You need to identify first');
+    }
+    checkPassword(password);
+    if (!await accounts.verify(client.nick, old)) fail(client);
+    await accounts.setPassword(client.nick, password);
+    client.serverMessage('Your password was changed');
+  });
+
+  commands.register('unregister', {
+    args: 1,
+    usage: '<password>',
+    description: 'Remove the registration of your nick',
+    secret: true
+  }, async (client, [password]) => {
+    if (!client.authenticated) {
+      throw new CommandError('You need to identify first');
+    }
+    if (!await accounts.verify(client.nick, password)) fail(client);
+    accounts.drop(client.nick);
+    client.authenticated = false;
+    client.serverMessage(`${client.nick} is no longer registered`);
+  });
+
+  commands.register('drop', {
+    level: levels.ADMIN,
+    args: 1,
+    usage: '<nick>',
+    description: 'Remove the registration of a nick'
+  }, (client, [nick]) => {
+    if (!accounts.drop(nick)) {
+      throw new CommandError(`${nick} is not registered`);
+    }
+    let holder = server.findClient(nick);
+    if (holder && !holder.remote) holder.authenticated = false;
+    client.serverMessage(`${nick} is no longer registered`);
+  });
+}
+
+module.exports = {register};
@@ -0,0 +1,199 @@
+const {levels, CommandError} = require('./index');
+
+/**
+ * Register the built-in commands
+ * @param {CommandRegistry} commands Registry to register the commands with
+ */
+function register(commands) {
+  let server = commands.server;
+
+  commands.register('help', {
+    usage: '[command]',
+    description: 'List commands or show how to use one'
+  }, (client, [name]) => {
+    let prefix = server.opts.commandPrefix;
+    if (name) {
+      let command = commands.commands.get(name.toLowerCase());
+      if (!command || command.level > commands.levelOf(client)) {
+        throw new CommandError(`No such command: ${name}`);
+      }
+      client.serverMessage(`${prefix}${command.name} ${command.usage}`.trim() +
+        (command.description ? ` - ${command.description}` : ''));
+      return;
+    }
+    let names = commands.available(client).map(c => prefix + c.name);
+    client.serverMessage(`Commands: ${names.join(', ')}`);
+  });
+
+  commands.register('who', {
+    description: 'List the users in this room'
+  }, client => {
+    let room = client.room;
+    let nicks = [...room.clients].map(c =>
+      (room.isOp(c) ? '@' : room.isVoiced(c) ? '+' : '') + c.nick +
+      (room.isSpectator(c) ? ' (spectator)' : ''));
+    client.serverMessage(`Users in ${room.name}: ${nicks.join(', ')}`);
+  });
+
+  commands.register('rooms', {
+    description: 'List the rooms on this server'
+  }, client => {
+    let rooms = [...server.rooms.values()]
+      .map(r => `${r.name} (${r.clients.size})`);
+    client.serverMessage(`Rooms: ${rooms.join(', ')}`);
+  });
+
+  /**
+   * Find a user in the room of a client
+   * @param {Client} client The client running the command
+   * @param {String} nick Nick of the user
+   * @return {Client}
+   */
+  let findMember = (client, nick) => {
+    if (client.room.isLobby()) {
+      throw new CommandError('The lobby has no ops');
+    }
+    let target = server.findClient(nick);
+    if (!target || target.room !== client.room) {
+      throw new CommandError(`${nick} is not in this room`);
+    }
+    return target;
+  };
+
+  commands.register('op', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Make another user in the room an op'
+  }, (client, [nick]) => {
+    let target = findMember(client, nick);
+    if (!client.room.addOp(target, client)) {
+      throw new CommandError(`${target.nick} is already an op`);
+    }
+  });
+
+  commands.register('deop', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Take op from a user in the room'
+  }, (client, [nick]) => {
+    let target = findMember(client, nick);
+    let room = client.room;
+    if (room.isFounder(target) && target !== client &&
+      !server.isAdmin(client)) {
+      throw new CommandError('You can\'t take op from the room founder');
+    }
+    if (!room.removeOp(target, client)) {
+      throw new CommandError(`${target.nick} is not an op`);
+    }
+  });
+
+  commands.register('transfer', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Hand your op status to another user in the room'
+  }, (client, [nick]) => {
+    let target = findMember(client, nick);
+    if (!client.room.isOp(client)) {
+      throw new CommandError('You are not an op of this room');
+    }
+    if (client.room.isOp(target)) {
+      throw new CommandError(`${target.nick} is already an op`);
+    }
+    client.room.transferOp(client, target);
+  });
+
+  commands.register('motd', {
+    description: 'Show the message of the day'
+  }, client => {
+    if (!server.opts.motd) throw new CommandError('There is no MOTD');
+    client.serverMessage(server.opts.motd);
+  });
+
+  /**
+   * Check a whisper and send it
+   * @param {Client} client The client whispering
+   * @param {String} nick Nick of the target
+   * @param {String} message The message
+   */
+  let whisper = (client, nick, message) => {
+    let target = server.findClient(nick);
+    if (!target) throw new CommandError(`${nick} is not on this server`);
+    if (target === client) {
+      throw new CommandError('You can\'t whisper to yourself');
+    }
+    if (!message.match(/^[ -~]*$/)) {
+      throw new CommandError('Invalid characters in message');
+    } else if (message.length > server.opts.maxMessageLength) {
+      throw new CommandError('Message too long');
+    }
+    if (server.bans.find('mute', client)) {
+      throw new CommandError('You are muted');
+    }
+    client.whisper(target, message);
+  };
+
+  commands.register('msg', {
+    args: 2,
+    usage: '<nick> <message>',
+    description: 'Send a private message to a user in any room'
+  }, (client, [nick], line) => {
+    // the message as typed, quotes included
+    whisper(client, nick, line.replace(/^("[^"]*"|\S+)\s*/, ''));
+  });
+
+  commands.register('r', {
+    args: 1,
+    usage: '<message>',
+    description: 'Reply to the last private message you got'
+  }, (client, args, line) => {
+    if (!client.lastWhisper) {
+      throw new CommandError('Nobody has whispered to you');
+    }
+    whisper(client, client.lastWhisper, line);
+  });
+
+  commands.register('ignore', {
+    usage: '[nick]',
+    description: 'Hide chat and private messages from a user, or list who ' +
+      'you ignore'
+  }, (client, [nick]) => {
+    if (!nick) {
+      client.serverMessage(client.ignored.size ?
+        `Ignoring: ${[...client.ignored].join(', ')}` :
+        'You are not ignoring anyone');
+      return;
+    }
+    if (nick.toLowerCase() === client.nick.toLowerCase()) {
+      throw new CommandError('You can\'t ignore yourself');
+    }
+    if (client.ignored.has(nick.toLowerCase())) {
+      throw new CommandError(`You are already ignoring ${nick}`);
+    }
+    client.ignored.add(nick.toLowerCase());
+    client.serverMessage(`Ignoring ${nick}`);
+  });
+
+  commands.register('unignore', {
+    args: 1,
+    usage: '<nick>',
+    description: 'Stop ignoring a user'
+  }, (client, [nick]) => {
+    if (!client.ignored.delete(nick.toLowerCase())) {
+      throw new CommandError(`You are not ignoring ${nick}`);
+    }
+    client.serverMessage(`No longer ignoring ${nick}`);
+  });
+
+  commands.register('me', {
+    args: 1,
+    usage: '<action>',
+    description: 'Send an action to the room'
+  }, (client, args, line) => {
+    client.chat(line, true);
+  });
+}
+
+module.exports = {register};
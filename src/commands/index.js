@@ -0,0 +1,173 @@
+/** Permission levels for commands */
+const levels = {
+  USER: 0,
+  OP: 1,
+  ADMIN: 2
+};
+
+const levelNames = ['user', 'room op', 'server admin'];
+
+/** Error shown to the user who ran a command */
+class CommandError extends Error {}
+
+/**
+ * Split a command line into arguments
+ * Arguments are separated by whitespace, double quotes group words together
+ * @param {String} line The arguments of a command
+ * @return {String[]}
+ */
+function parseArgs(line) {
+  let args = [];
+  let re = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(line))) {
+    args.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return args;
+}
+
+/** Holds the chat commands of a server and dispatches them */
+class CommandRegistry {
+  /**
+   * Creates a new CommandRegistry
+   * @param {TPTMPServer} server The server the commands belong to
+   */
+  constructor(server) {
+    this.server = server;
+    this.commands = new Map();
+  }
+  /**
+   * Register a command
+   * @param {String} name Name of the command, without prefix
+   * @param {Object} opts Options for the command
+   * @param {Number} [opts.level=levels.USER] Level required to run it
+   * @param {Number} [opts.args=0] Minimum number of arguments
+   * @param {String} [opts.usage=''] Argument synopsis, e.g. '<nick>'
+   * @param {String} [opts.description=''] Description shown by /help
+   * @param {Boolean} [opts.secret=false] Whether the arguments are kept out
+   *   of the command event, for commands taking passwords
+   * @param {Function} handler Called with (client, args, line), where line is
+   *   the unparsed text after the command name. May return a promise.
+   *   Throw a CommandError to show a message to the client.
+   */
+  register(name, opts, handler) {
+    name = name.toLowerCase();
+    if (this.commands.has(name)) {
+      throw new Error(`Command already registered: ${name}`);
+    }
+    this.commands.set(name, Object.assign({
+      name,
+      level: levels.USER,
+      args: 0,
+      usage: '',
+      description: '',
+      secret: false
+    }, opts, {handler}));
+  }
+  /**
+   * Remove a command
+   * @param {String} name Name of the command
+   * @return {Boolean} Whether the command existed
+   */
+  unregister(name) {
+    return this.commands.delete(name.toLowerCase());
+  }
+  /**
+   * Get the level of a client
+   * @param {Client} client The client
+   * @return {Number}
+   */
+  levelOf(client) {
+    if (this.server.isAdmin(client)) return levels.ADMIN;
+    if (client.room && client.room.isOp(client)) return levels.OP;
+    return levels.USER;
+  }
+  /**
+   * Get the commands a client is allowed to run
+   * @param {Client} client The client
+   * @return {Object[]}
+   */
+  available(client) {
+    let level = this.levelOf(client);
+    return [...this.commands.values()].filter(c => c.level <= level);
+  }
+  /**
+   * Whether a chat message is a command
+   * @param {String} message The chat message
+   * @return {Boolean}
+   */
+  isCommand(message) {
+    let prefix = this.server.opts.commandPrefix;
+    return Boolean(prefix) && message.startsWith(prefix) &&
+      message.length > prefix.length;
+  }
+  /**
+   * Run a command for a client
+   * @param {Client} client The client that sent the command
+   * @param {String} message The chat message, including the prefix
+   */
+  execute(client, message) {
+    let prefix = this.server.opts.commandPrefix;
+    let [, name, line] = message.slice(prefix.length)
+      .match(/^(\S*)\s*(.*)$/);
+    let command = this.commands.get(name.toLowerCase());
+    if (!command) {
+      client.serverMessage(`Unknown command ${prefix}${name}, ` +
+        `try ${prefix}help`, 255, 50, 50);
+      return;
+    }
+    if (this.levelOf(client) < command.level) {
+      client.serverMessage(`${prefix}${command.name} can only be used by ` +
+        `a ${levelNames[command.level]}`, 255, 50, 50);
+      return;
+    }
+    let args = parseArgs(line);
+    if (args.length < command.args) {
+      client.serverMessage(`Usage: ${prefix}${command.name} ${command.usage}`,
+        255, 50, 50);
+      return;
+    }
+    // command lines are chat lines to hooks.message, like before commands
+    // existed, save for secret ones
+    if (!command.secret && !this._allowed(client, message)) return;
+    this.server.emit('command', client, command.name,
+      command.secret ? [] : args);
+    let onError = err => {
+      if (err instanceof CommandError) {
+        client.serverMessage(err.message, 255, 50, 50);
+        return;
+      }
+      client.serverMessage(`${prefix}${command.name} failed`, 255, 50, 50);
+      this.server.emit('commandError', err, client, command.name);
+    };
+    try {
+      let result = command.handler(client, args, line);
+      if (result && typeof result.then === 'function') result.catch(onError);
+    } catch (err) {
+      onError(err);
+    }
+  }
+  /**
+   * Run hooks.message for a command line
+   * A hook that throws refuses the line, and the middleware emits
+   * 'handlerError' with the error and the stage 'command'.
+   * @param {Client} client The client that sent the command
+   * @param {String} message The chat message, including the prefix
+   * @return {Boolean} Whether the hook allows the line
+   */
+  _allowed(client, message) {
+    try {
+      return Boolean(this.server.hooks.message(client, message));
+    } catch (err) {
+      this.server.middleware.emit('handlerError', err, 'command');
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  levels,
+  CommandError,
+  CommandRegistry,
+  parseArgs
+};
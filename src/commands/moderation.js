@@ -0,0 +1,121 @@
+const {levels, CommandError} = require('./index');
+const {parseDuration, parseMask, describe} = require('../bans');
+
+const PAST = {ban: 'banned', mute: 'muted'};
+
+/**
+ * Register the ban and mute commands
+ * Room ops manage entries of their room, server admins also have g-prefixed
+ * variants for server-wide entries.
+ * @param {CommandRegistry} commands Registry to register the commands with
+ */
+function register(commands) {
+  let server = commands.server;
+
+  /**
+   * Get the room a command applies to
+   * @param {Client} client The client running the command
+   * @param {Boolean} global Whether the command is server-wide
+   * @return {String} Name of the room, or null for server-wide
+   */
+  let scopeOf = (client, global) => {
+    if (global) return null;
+    if (client.room.isLobby()) {
+      throw new CommandError('The lobby has no bans or mutes');
+    }
+    return client.room.name;
+  };
+
+  /**
+   * Make a handler adding an entry
+   * @param {String} type 'ban' or 'mute'
+   * @param {Boolean} global Whether the entry is server-wide
+   * @return {Function}
+   */
+  let adder = (type, global) => (client, [target, ...rest]) => {
+    let room = scopeOf(client, global);
+    let duration = parseDuration(rest[0]);
+    if (duration) rest.shift();
+    let who = parseMask(target) ? {mask: target} : {nick: target};
+    if (who.nick && !server.isAdmin(client)) {
+      let victim = server.findClient(who.nick);
+      if (victim && server.isAdmin(victim)) {
+        throw new CommandError('You can\'t do that to a server admin');
+      }
+    }
+    let entry = server.bans.add(Object.assign(who, {
+      type,
+      room,
+      duration,
+      reason: rest.join(' ') || null,
+      by: client.nick
+    }));
+    client.serverMessage(`${target} is now ${PAST[type]} ` +
+      `${room ? 'in ' + room : 'server-wide'} ${describe(entry)}`);
+  };
+
+  /**
+   * Make a handler removing an entry
+   * @param {String} type 'ban' or 'mute'
+   * @param {Boolean} global Whether the entry is server-wide
+   * @return {Function}
+   */
+  let remover = (type, global) => (client, [target]) => {
+    let room = scopeOf(client, global);
+    if (!server.bans.remove(type, target, room)) {
+      throw new CommandError(`${target} is not ${PAST[type]} ` +
+        `${room ? 'in ' + room : 'server-wide'}`);
+    }
+    client.serverMessage(`Removed ${type} on ${target}`);
+  };
+
+  for (let [global, prefix, level] of [
+    [false, '', levels.OP],
+    [true, 'g', levels.ADMIN]
+  ]) {
+    let scope = global ? 'the server' : 'this room';
+    commands.register(prefix + 'ban', {
+      level,
+      args: 1,
+      usage: '<nick|address[/bits]> [duration] [reason]',
+      description: `Ban a user from ${scope}, e.g. for 30m, 12h or 7d`
+    }, adder('ban', global));
+    commands.register(prefix + 'unban', {
+      level,
+      args: 1,
+      usage: '<nick|address[/bits]>',
+      description: `Remove a ban from ${scope}`
+    }, remover('ban', global));
+    commands.register(prefix + 'mute', {
+      level,
+      args: 1,
+      usage: '<nick|address[/bits]> [duration] [reason]',
+      description: `Stop a user from chatting in ${scope}`
+    }, adder('mute', global));
+    commands.register(prefix + 'unmute', {
+      level,
+      args: 1,
+      usage: '<nick|address[/bits]>',
+      description: `Remove a mute from ${scope}`
+    }, remover('mute', global));
+  }
+
+  commands.register('bans', {
+    level: levels.OP,
+    description: 'List the bans and mutes of this room'
+  }, client => {
+    let entries = server.bans.list(client.room.name);
+    if (server.isAdmin(client)) entries.push(...server.bans.list(null));
+    if (!entries.length) {
+      client.serverMessage('There are no bans or mutes');
+      return;
+    }
+    for (let entry of entries) {
+      client.serverMessage(`${entry.type} ${entry.nick || entry.mask} ` +
+        `${entry.room ? 'in ' + entry.room : 'server-wide'} ` +
+        `${describe(entry)}${entry.by ? ' by ' + entry.by : ''}`);
+    }
+  });
+}
+
+module.exports = {register};
@@ -0,0 +1,288 @@
+const {levels, CommandError} = require('./index');
+const {POLICIES} = require('../vote');
+
+/**
+ * Parse an on/off argument
+ * @param {String} value The argument
+ * @return {Boolean}
+ */
+function parseSwitch(value) {
+  if (/^(on|yes|true|1)$/i.test(value)) return true;
+  if (/^(off|no|false|0)$/i.test(value)) return false;
+  throw new CommandError(`Expected on or off, got ${value}`);
+}
+
+/** Modes settable with /mode, mapping names to room modes and parsers */
+const MODES = {
+  password: ['password', v => /^(off|none)$/i.test(v) ? null : v],
+  invite: ['inviteOnly', parseSwitch],
+  lock: ['locked', parseSwitch],
+  moderated: ['moderated', parseSwitch],
+  limit: ['limit', v => {
+    if (/^(off|none)$/i.test(v)) return 0;
+    if (!/^\d+$/.test(v) || +v > 255) {
+      throw new CommandError(`Expected a user count or off, got ${v}`);
+    }
+    return +v;
+  }],
+  spectate: ['spectate', parseSwitch],
+  destructive: ['destructive', v => {
+    if (!POLICIES.includes(v.toLowerCase())) {
+      throw new CommandError(`Expected ${POLICIES.join(', ')}, got ${v}`);
+    }
+    return v.toLowerCase();
+  }]
+};
+
+// players other than the one who asked that must be able to vote on a kick
+const MIN_KICK_VOTERS = 2;
+
+/** How destructive policies are described, by policy */
+const DESTRUCTIVE_MODES = {
+  approval: 'destructive actions need op approval',
+  vote: 'destructive actions need a vote',
+  ops: 'destructive actions are for ops only'
+};
+
+/**
+ * Describe the modes of a room
+ * @param {Room} room The room
+ * @return {String}
+ */
+function describeModes(room) {
+  let {password, inviteOnly, locked, moderated, limit, spectate,
+    destructive} = room.modes;
+  let set = [];
+  if (password) set.push('password protected');
+  if (inviteOnly) set.push('invite only');
+  if (locked) set.push('locked');
+  if (moderated) set.push('moderated');
+  if (limit) set.push(`limited to ${limit} users`);
+  if (spectate) set.push('new users spectate');
+  if (destructive in DESTRUCTIVE_MODES) {
+    set.push(DESTRUCTIVE_MODES[destructive]);
+  }
+  return set.length ? set.join(', ') : 'no modes set';
+}
+
+/**
+ * Register the room mode commands
+ * @param {CommandRegistry} commands Registry to register the commands with
+ */
+function register(commands) {
+  let server = commands.server;
+
+  /**
+   * Get the room of a client, refusing the lobby
+   * @param {Client} client The client
+   * @return {Room}
+   */
+  let roomOf = client => {
+    if (client.room.isLobby()) {
+      throw new CommandError('The lobby has no modes');
+    }
+    return client.room;
+  };
+
+  commands.register('join', {
+    args: 1,
+    usage: '<room> [password]',
+    description: 'Join a room'
+  }, (client, [room, password]) => {
+    client.requestJoin(room, password);
+  });
+
+  commands.register('mode', {
+    usage: `[${Object.keys(MODES).join('|')} <value>]`,
+    description: 'Show or change the modes of this room'
+  }, (client, [name, value]) => {
+    let room = roomOf(client);
+    if (!name) {
+      client.serverMessage(`${room.name}: ${describeModes(room)}`);
+      return;
+    }
+    if (commands.levelOf(client) < levels.OP) {
+      throw new CommandError('Only the room op can change modes');
+    }
+    let mode = MODES[name.toLowerCase()];
+    if (!mode) throw new CommandError(`Unknown mode: ${name}`);
+    if (value === undefined) throw new CommandError('Missing value');
+    room.setMode(mode[0], mode[1](value));
+    if (mode[0] === 'password') {
+      // don't announce the password itself
+      room.serverMessage(`${client.nick} ${room.modes.password ? 'set' :
+        'removed'} the room password`);
+    } else {
+      room.serverMessage(`${client.nick} changed the modes of ${room.name}: ` +
+        describeModes(room));
+    }
+  });
+
+  commands.register('invite', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Let a user join this room past its modes'
+  }, (client, [nick]) => {
+    let room = roomOf(client);
+    room.invites.add(nick.toLowerCase());
+    client.serverMessage(`Invited ${nick} to ${room.name}`);
+    let target = server.findClient(nick);
+    if (target && target.room !== room) {
+      target.serverMessage(`${client.nick} invited you to ${room.name}`);
+    }
+  });
+
+  commands.register('uninvite', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Take back an invite'
+  }, (client, [nick]) => {
+    if (!roomOf(client).invites.delete(nick.toLowerCase())) {
+      throw new CommandError(`${nick} is not invited`);
+    }
+    client.serverMessage(`${nick} is no longer invited`);
+  });
+
+  commands.register('voice', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Let a user talk and draw in a moderated room'
+  }, (client, [nick]) => {
+    let room = roomOf(client);
+    room.voiced.add(nick.toLowerCase());
+    room.serverMessage(`${client.nick} gave voice to ${nick}`);
+  });
+
+  commands.register('devoice', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Take voice from a user'
+  }, (client, [nick]) => {
+    let room = roomOf(client);
+    if (!room.voiced.delete(nick.toLowerCase())) {
+      throw new CommandError(`${nick} is not voiced`);
+    }
+    room.serverMessage(`${client.nick} took voice from ${nick}`);
+  });
+
+  /**
+   * Find a user in the room of a client
+   * @param {Client} client The client running the command
+   * @param {String} nick Nick of the user
+   * @return {Client}
+   */
+  let findMember = (client, nick) => {
+    let room = roomOf(client);
+    let target = server.findClient(nick);
+    if (!target || target.room !== room) {
+      throw new CommandError(`${nick} is not in ${room.name}`);
+    }
+    if (target.remote) {
+      throw new CommandError(`${nick} is on another server`);
+    }
+    return target;
+  };
+
+  commands.register('spectate', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Make a user a spectator, who can chat but not draw'
+  }, (client, [nick]) => {
+    let target = findMember(client, nick);
+    if (!client.room.setSpectator(target, true, client)) {
+      throw new CommandError(`${target.nick} is already a spectator`);
+    }
+    client.room.serverMessage(`${client.nick} made ${target.nick} a spectator`);
+  });
+
+  commands.register('participate', {
+    level: levels.OP,
+    args: 1,
+    usage: '<nick>',
+    description: 'Let a spectator draw again'
+  }, (client, [nick]) => {
+    let target = findMember(client, nick);
+    if (!client.room.setSpectator(target, false, client)) {
+      throw new CommandError(`${target.nick} is not a spectator`);
+    }
+    client.room.serverMessage(`${client.nick} let ${target.nick} draw again`);
+  });
+
+  /**
+   * Answer the vote running in the room of a client
+   * @param {Client} client The client
+   * @param {Boolean} yes The answer
+   */
+  let answer = (client, yes) => {
+    let vote = client.room.vote;
+    if (!vote) throw new CommandError('Nothing to vote on');
+    let refusal = vote.cast(client, yes);
+    if (refusal) throw new CommandError(refusal);
+  };
+
+  commands.register('approve', {
+    level: levels.OP,
+    description: 'Let through the destructive action waiting for approval'
+  }, client => answer(client, true));
+
+  commands.register('deny', {
+    level: levels.OP,
+    description: 'Refuse the destructive action waiting for approval'
+  }, client => answer(client, false));
+
+  commands.register('vote', {
+    args: 1,
+    usage: '<yes|no>',
+    description: 'Vote on what is asked of this room'
+  }, (client, [value]) => {
+    if (/^(yes|y)$/i.test(value)) answer(client, true);
+    else if (/^(no|n)$/i.test(value)) answer(client, false);
+    else throw new CommandError(`Expected yes or no, got ${value}`);
+  });
+
+  commands.register('votekick', {
+    args: 1,
+    usage: '<nick> [reason]',
+    description: 'Call a vote to kick a user, in rooms without an active op'
+  }, (client, [nick, ...rest]) => {
+    if (client.room.isLobby()) {
+      throw new CommandError('Nobody can be kicked from the lobby');
+    }
+    let target = findMember(client, nick);
+    let room = client.room;
+    let prefix = server.opts.commandPrefix;
+    if (target === client) throw new CommandError('You can\'t kick yourself');
+    if (room.activeOps().length) {
+      throw new CommandError('This room has an op, ask them instead');
+    }
+    let reason = rest.join(' ') || 'No reason given';
+    if (reason.length > server.opts.maxMessageLength) {
+      throw new CommandError('Kick reason too long');
+    }
+    let vote = room.callVote({
+      by: client,
+      kind: 'vote',
+      question: `kick ${target.nick}`,
+      target,
+      minVoters: MIN_KICK_VOTERS,
+      onEnd: passed => {
+        if (passed && target.connected && target.room === room) {
+          target.kick('a vote', reason);
+        }
+      }
+    });
+    if (!vote) throw new CommandError('A vote is already running');
+    if (vote.ended) return;
+    let seconds = Math.ceil(server.opts.voteTimeout / 1000);
+    room.serverMessage(`${client.nick} wants to kick ${target.nick} ` +
+      `(${reason}), ${prefix}vote yes or ${prefix}vote no within ${seconds} ` +
+      'seconds', 255, 200, 50);
+  });
+}
+
+module.exports = {register};
@@ -0,0 +1,82 @@
+const path = require('path');
+
+/**
+ * Options that take effect when the config file is reloaded, the others are
+ * only read when the server is created
+ */
+const RELOADABLE = [
+  'motd',
+  'admins',
+  'commandPrefix',
+  'founders',
+  'rateLimits',
+  'floodMuteDuration',
+  'maxPayloadSize',
+  'syncTimeout',
+  'preferSyncCache',
+  'syncBacklogSize',
+  'maxQueuedBytes',
+  'lagTimeout',
+  'coalesce',
+  'voteTimeout',
+  'activeOpTime',
+  'resumeTimeout',
+  'version',
+  'versions',
+  'hooks',
+  'maxClients',
+  'syncProperties',
+  'nickPattern',
+  'maxNickLength',
+  'validateNick',
+  'roomPattern',
+  'maxRoomLength',
+  'validateRoom',
+  'maxMessageLength',
+  'maxStringLength',
+  'timeout',
+  'handshakeTimeout',
+  'rejectMessages'
+];
+
+/**
+ * Read a config file
+ * JSON files are parsed, other files are loaded as modules exporting the
+ * options, so that they can also set hooks. The file is read again on every
+ * call.
+ * @param {String} file Path to the file
+ * @return {Object} The options
+ */
+function read(file) {
+  file = path.resolve(file);
+  delete require.cache[file];
+  let opts = require(file);
+  if (!opts || typeof opts !== 'object' || Array.isArray(opts)) {
+    throw new Error(`Config file does not export an object: ${file}`);
+  }
+  return opts;
+}
+
+/**
+ * Whether two option values differ
+ * @param {*} a One value
+ * @param {*} b The other
+ * @return {Boolean}
+ */
+function differs(a, b) {
+  if (typeof a === 'function' || typeof b === 'function') return a !== b;
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return String(a) !== String(b);
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    let keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].some(key => differs(a[key], b[key]));
+  }
+  return a !== b;
+}
+
+module.exports = {
+  RELOADABLE,
+  read,
+  differs
+};
@@ -0,0 +1,153 @@
+const protocol = require('./protocol');
+
+/** Fields of a version range, as in constants.version */
+const WINDOW = ['MAJOR_MIN', 'MINOR_MIN', 'MAJOR_MAX', 'MINOR_MAX', 'SCRIPT'];
+
+/**
+ * The protocol spoken by a range of client versions
+ * The server encodes packets for the current protocol. Clients whose version
+ * has other packets get them translated, or not at all when their version
+ * lacks them.
+ */
+class Dialect {
+  /**
+   * Creates a new Dialect
+   * @param {Object} spec Description of the versions
+   * @param {String} [spec.name] Name shown in logs, defaults to the range
+   * @param {Number} spec.MAJOR_MIN Oldest major version
+   * @param {Number} spec.MINOR_MIN Oldest minor version of MAJOR_MIN
+   * @param {Number} spec.MAJOR_MAX Newest major version
+   * @param {Number} spec.MINOR_MAX Newest minor version of MAJOR_MAX
+   * @param {Number} spec.SCRIPT Script version
+   * @param {Number[]} spec.syncProperties Opcodes of the simulation
+   *   properties these clients send after a sync
+   * @param {Number[]} [spec.remove=[]] Opcodes these versions do not have
+   * @param {Object[]} [spec.packets=[]] Packets these versions have instead,
+   *   see protocol.variant
+   * @param {Object} [spec.incoming={}] Functions by packet type, turning
+   *   packets of these versions into packets of the current protocol, or
+   *   returning null to drop them
+   * @param {Object} [spec.outgoing={}] Functions by packet type, turning
+   *   packets of the current protocol into packets of these versions, or
+   *   returning null to drop them
+   */
+  constructor(spec) {
+    for (let key of WINDOW) {
+      if (!Number.isInteger(spec[key]) || spec[key] < 0 || spec[key] > 255) {
+        throw new Error(`Invalid version ${key}: ${spec[key]}`);
+      }
+    }
+    Object.assign(this, ...WINDOW.map(key => ({[key]: spec[key]})));
+    this.name = spec.name || `${spec.MAJOR_MIN}.${spec.MINOR_MIN}-` +
+      `${spec.MAJOR_MAX}.${spec.MINOR_MAX}/${spec.SCRIPT}`;
+    this.incoming = spec.incoming || {};
+    this.outgoing = spec.outgoing || {};
+    let remove = spec.remove || [];
+    let packets = spec.packets || [];
+    // whether the versions speak the current protocol, so that packets are
+    // passed through as they are
+    this.plain = !remove.length && !packets.length &&
+      !Object.keys(this.incoming).length && !Object.keys(this.outgoing).length;
+    this.tables = remove.length || packets.length ?
+      protocol.variant({remove, packets}) : protocol.base;
+    this.syncProperties = spec.syncProperties;
+    if (!Array.isArray(this.syncProperties) || this.syncProperties.some(
+      opcode => !this.tables.serverbound.byOpcode.has(opcode))) {
+      throw new Error(`Invalid syncProperties of ${this.name}`);
+    }
+  }
+  /**
+   * Whether a client version is in the range
+   * @param {Number[]} version `[major, minor, script]`
+   * @return {Boolean}
+   */
+  matches([major, minor, script]) {
+    return script === this.SCRIPT && compare([major, minor],
+      [this.MAJOR_MIN, this.MINOR_MIN]) >= 0 &&
+      compare([major, minor], [this.MAJOR_MAX, this.MINOR_MAX]) <= 0;
+  }
+  /**
+   * Turn a packet received from a client into a packet of the current
+   * protocol
+   * @param {Object} packet The decoded packet
+   * @return {Object} The packet, or null to drop it
+   */
+  receive(packet) {
+    if (this.plain) return packet;
+    let translate = this.incoming[packet.type];
+    if (translate) packet = translate(packet);
+    if (packet && !protocol.serverbound.byType.has(packet.type)) {
+      return null;
+    }
+    return packet;
+  }
+  /**
+   * Encode a packet of the current protocol for these versions
+   * @param {Object} packet The clientbound packet
+   * @param {Buffer} [buf] The packet encoded for the current protocol
+   * @return {Buffer} null if the packet is not sent to these versions
+   */
+  encode(packet, buf) {
+    if (this.plain) return buf || protocol.encode('clientbound', packet);
+    // the handshake is the same in every version
+    if (packet.type === 'handshakeResponse') {
+      return buf || protocol.encode('clientbound', packet);
+    }
+    let translate = this.outgoing[packet.type];
+    if (translate) packet = translate(packet);
+    if (!packet || !this.tables.clientbound.byType.has(packet.type)) {
+      return null;
+    }
+    return protocol.encode('clientbound', packet, this.tables);
+  }
+}
+
+/**
+ * Compare two [major, minor] versions
+ * @param {Number[]} a One version
+ * @param {Number[]} b The other
+ * @return {Number} Negative if a is older, positive if it is newer
+ */
+function compare(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Explain why no dialect matches a client version
+ * @param {Dialect[]} dialects The dialects accepted
+ * @param {Number[]} version `[major, minor, script]`
+ * @return {Object} `{reason, expected}`, reason being 'script', 'outdated' or
+ *   'tooNew', and expected the version that would have been accepted
+ */
+function mismatch(dialects, [major, minor, script]) {
+  let same = dialects.filter(d => d.SCRIPT === script);
+  if (!same.length) {
+    return {
+      reason: 'script',
+      expected: [...new Set(dialects.map(d => d.SCRIPT))].join(' or ')
+    };
+  }
+  // the oldest range newer than the client, if any, otherwise the newest
+  let newer = same.filter(d =>
+    compare([major, minor], [d.MAJOR_MIN, d.MINOR_MIN]) < 0)
+    .sort((a, b) => compare([a.MAJOR_MIN, a.MINOR_MIN],
+      [b.MAJOR_MIN, b.MINOR_MIN]));
+  if (newer.length) {
+    return {
+      reason: 'outdated',
+      expected: `${newer[0].MAJOR_MIN}.${newer[0].MINOR_MIN}`
+    };
+  }
+  let newest = same.sort((a, b) => compare([b.MAJOR_MAX, b.MINOR_MAX],
+    [a.MAJOR_MAX, a.MINOR_MAX]))[0];
+  return {
+    reason: 'tooNew',
+    expected: `${newest.MAJOR_MAX}.${newest.MINOR_MAX}`
+  };
+}
+
+module.exports = {
+  Dialect,
+  compare,
+  mismatch
+};
@@ -0,0 +1,475 @@
+/**
+ * Links between servers, so rooms span several instances
+ *
+ * Linked servers form a tree, like IRC networks: every server relays what it
+ * gets from one link to its other links. A link is a TCP connection carrying
+ * one JSON message per line, each with a type `t`:
+ *
+ * hello        {name, password, version} first message of both ends
+ * error        {message} the link is closed after it
+ * ping         {} keeps the link alive
+ * join         {uid, nick, room, chat, authenticated, brush, brushSize,
+ *              brushSelection, replaceMode, deco} a client joined a shared
+ *              room, or was renamed
+ * part         {uid} a client left its room
+ * packet       {uid, data} drawing or chat, data is the clientbound packet
+ *              in base64, its id is replaced by the receiving server
+ * syncRequest  {room, from, to} ask from to send its simulation to to
+ * sync         {room, from, to, data} the simulation, data in base64
+ * syncProperty {room, from, to, opcode, value} a property after a sync
+ * message      {uid, message, r, g, b} server message for a client
+ * kick         {uid, by, reason} kick a client
+ *
+ * Clients are identified by uids, `<id>@<server name>`.
+ */
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+const Client = require('./client');
+const RemoteClient = require('./remoteclient');
+
+const VERSION = 1;
+
+/**
+ * Hash a password so it can be compared in constant time
+ * @param {String} password The password
+ * @return {Buffer}
+ */
+function hash(password) {
+  return crypto.createHash('sha256').update(String(password)).digest();
+}
+
+/** A connection to another server */
+class Link extends EventEmitter {
+  /**
+   * Creates a new Link
+   * @param {LinkManager} manager The manager of the link
+   * @param {Socket} socket Connection to the other server
+   * @param {String} password Password both ends must know
+   */
+  constructor(manager, socket, password) {
+    super();
+    this.manager = manager;
+    this.socket = socket;
+    this.password = password;
+    // name of the server at the other end, set once it said hello
+    this.name = null;
+    this.up = false;
+    this._buffer = '';
+    this._maxLine = manager.server.opts.maxPayloadSize * 2 + 1024;
+    this._pinger = null;
+    socket.setEncoding('utf8');
+    socket.setTimeout(90 * 1000);
+    socket.on('data', data => this.dataHandler(data))
+    .on('timeout', () => this.close('Ping timeout'))
+    .on('error', err => this.close(err.message))
+    .on('close', () => this.close());
+    this.send({
+      t: 'hello',
+      name: manager.server.opts.name,
+      password,
+      version: VERSION
+    });
+  }
+  /**
+   * Handles data input
+   * @param {String} data Data received from the socket
+   */
+  dataHandler(data) {
+    this._buffer += data;
+    let lines = this._buffer.split('\n');
+    this._buffer = lines.pop();
+    if (this._buffer.length > this._maxLine) {
+      this.close('Message too long');
+      return;
+    }
+    for (let line of lines) {
+      if (!this.socket) return;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        this.close('Invalid message');
+        return;
+      }
+      if (message === null || typeof message !== 'object' ||
+        Array.isArray(message)) {
+        this.close('Invalid message');
+        return;
+      }
+      // a message that breaks the handlers must not take the server down
+      try {
+        if (!this.up) this.hello(message);
+        else if (message.t === 'error') this.close(message.message);
+        else if (message.t !== 'ping') this.emit('message', message);
+      } catch (err) {
+        this.manager.emit('linkError', err, this);
+      }
+    }
+  }
+  /**
+   * Check the hello of the other server
+   * @param {Object} message The first message of the other server
+   */
+  hello(message) {
+    if (message.t === 'error') return this.close(message.message);
+    if (message.t !== 'hello') return this.refuse('Expected hello');
+    if (message.version !== VERSION) {
+      return this.refuse(`Unsupported link version ${message.version}`);
+    }
+    if (!crypto.timingSafeEqual(hash(message.password), hash(this.password))) {
+      return this.refuse('Wrong password');
+    }
+    let refusal = this.manager.checkLink(message.name);
+    if (refusal) return this.refuse(refusal);
+    this.name = message.name;
+    this.up = true;
+    this._pinger = setInterval(() => this.send({t: 'ping'}), 30 * 1000);
+    this.emit('up');
+  }
+  /**
+   * Tell the other server why the link is refused and close it
+   * @param {String} message The reason
+   */
+  refuse(message) {
+    this.send({t: 'error', message});
+    this.close(message);
+  }
+  /**
+   * Send a message to the other server
+   * @param {Object} message The message
+   */
+  send(message) {
+    if (this.socket) this.socket.write(JSON.stringify(message) + '\n');
+  }
+  /**
+   * Close the link
+   * @param {String} [reason=Lost connection] Why the link closed
+   */
+  close(reason = 'Lost connection') {
+    if (!this.socket) return;
+    let socket = this.socket;
+    this.socket = null;
+    clearInterval(this._pinger);
+    socket.end();
+    this.emit('close', reason);
+  }
+}
+
+/**
+ * Links a server to others and keeps the clients of shared rooms in sync
+ * across them. Linked servers must have different names and trust each
+ * other, kicks coming over a link are not checked.
+ */
+class LinkManager extends EventEmitter {
+  /**
+   * Creates a new LinkManager
+   * @param {TPTMPServer} server The server to link
+   * @param {Object} opts Options
+   * @param {String} opts.password Password of links
+   * @param {Number} [opts.port] Port to accept links on, links are only made
+   *   to peers if this is not set
+   * @param {String} [opts.host=127.0.0.1] Host to accept links on
+   * @param {Object[]} [opts.peers=[]] Servers to link to, `{host, port,
+   *   password}` where password defaults to opts.password
+   * @param {String[]} [opts.rooms] Names of the shared rooms, all rooms are
+   *   shared if this is not set
+   * @param {Number} [opts.reconnectDelay=10000] How long to wait before
+   *   linking to a peer again after its link closed, in ms
+   */
+  constructor(server, opts) {
+    super();
+    this.server = server;
+    this.opts = Object.assign({
+      port: null,
+      host: '127.0.0.1',
+      peers: [],
+      rooms: null,
+      reconnectDelay: 10 * 1000
+    }, opts);
+    if (!this.opts.password) throw new Error('Links need a password');
+    this.links = new Set();
+    // clients of other servers, by uid
+    this.users = new Map();
+    this.tcpServer = net.createServer(socket =>
+      this.add(new Link(this, socket, this.opts.password)));
+    this._closing = false;
+    this._timers = new Set();
+    server.on('roomCreate', room => this._roomCreate(room));
+    // linked servers see a renamed client leave and come back
+    server.on('rename', client => {
+      if (!client.room || !this.isShared(client.room.name)) return;
+      this.broadcast({t: 'part', uid: client.uid});
+      this.broadcast(Object.assign({t: 'join'}, this.describe(client)));
+    });
+  }
+  /**
+   * Start accepting links and link to the peers
+   */
+  listen() {
+    if (this.opts.port) this.tcpServer.listen(this.opts.port, this.opts.host);
+    for (let peer of this.opts.peers) this.connect(peer);
+  }
+  /**
+   * Close every link and stop accepting new ones
+   * @return {Promise} Promise resolving once the listener is closed
+   */
+  close() {
+    this._closing = true;
+    for (let timer of this._timers) clearTimeout(timer);
+    for (let link of [...this.links]) link.close('Server closing');
+    if (!this.tcpServer.listening) return Promise.resolve();
+    return new Promise(resolve => this.tcpServer.close(() => resolve()));
+  }
+  /**
+   * Link to another server, again whenever the link closes
+   * @param {Object} peer `{host, port, password}`
+   * @return {Link}
+   */
+  connect(peer) {
+    let socket = net.connect(peer.port, peer.host);
+    let link = this.add(new Link(this, socket,
+      peer.password || this.opts.password));
+    link.once('close', () => {
+      if (this._closing) return;
+      let timer = setTimeout(() => {
+        this._timers.delete(timer);
+        this.connect(peer);
+      }, this.opts.reconnectDelay);
+      this._timers.add(timer);
+    });
+    return link;
+  }
+  /**
+   * Manage a new link
+   * @param {Link} link The link
+   * @return {Link}
+   */
+  add(link) {
+    this.links.add(link);
+    link.on('up', () => {
+      this.emit('link', link);
+      this.burst(link);
+    })
+    // errors are caught and emitted as linkError by the link
+    .on('message', message => this.messageHandler(link, message))
+    .on('close', reason => {
+      this.links.delete(link);
+      if (link.up) this.split(link, reason);
+      this.emit('unlink', link, reason);
+    });
+    return link;
+  }
+  /**
+   * Check whether a server may link to this one
+   * @param {String} name Name of the other server
+   * @return {String} Why it may not, or null if it may
+   */
+  checkLink(name) {
+    if (typeof name !== 'string' || !name) return 'Missing server name';
+    if (name === this.server.opts.name) return 'Same server name';
+    for (let link of this.links) {
+      if (link.name === name) return `Already linked to ${name}`;
+    }
+    return null;
+  }
+  /**
+   * Whether a room is shared with linked servers
+   * @param {String} name Name of the room
+   * @return {Boolean}
+   */
+  isShared(name) {
+    return !this.opts.rooms || this.opts.rooms.includes(name);
+  }
+  /**
+   * Describe a client for a join message
+   * @param {Client|RemoteClient} client The client
+   * @param {Room} [room] The room of the client, defaults to its current room
+   * @return {Object}
+   */
+  describe(client, room = client.room) {
+    let {uid, isChat: chat, authenticated, brush, brushSize, brushSelection,
+      replaceMode, deco} = client;
+    let nick = client.realNick || client.nick;
+    return {uid, nick, room: room ? room.name : client.roomName, chat,
+      authenticated, brush, brushSize, brushSelection, replaceMode, deco};
+  }
+  /**
+   * Send a message to every link except one
+   * @param {Object} message The message
+   * @param {Link} [except] The link not to send it to
+   */
+  broadcast(message, except = null) {
+    for (let link of this.links) {
+      if (link.up && link !== except) link.send(message);
+    }
+  }
+  /**
+   * Tell a new link about every client in a shared room
+   * @param {Link} link The new link
+   */
+  burst(link) {
+    for (let client of this.server.clients.values()) {
+      if (client.remote || !client.room) continue;
+      if (!this.isShared(client.room.name)) continue;
+      link.send(Object.assign({t: 'join'}, this.describe(client)));
+    }
+    for (let user of this.users.values()) {
+      if (user.remote === link) continue;
+      link.send(Object.assign({t: 'join'}, this.describe(user)));
+    }
+  }
+  /**
+   * Drop the clients reached through a link that closed
+   * @param {Link} link The link
+   * @param {String} reason Why it closed
+   */
+  split(link, reason) {
+    let rooms = new Set();
+    for (let user of [...this.users.values()]) {
+      if (user.remote !== link) continue;
+      if (user.room) rooms.add(user.room);
+      this._part(user);
+      this.broadcast({t: 'part', uid: user.uid}, link);
+    }
+    for (let room of rooms) {
+      if (!this.server.rooms.has(room.name)) continue;
+      room.serverMessage(`Lost the link to ${link.name} (${reason})`,
+        255, 50, 50);
+    }
+  }
+  /**
+   * Find a client, local or remote, by uid
+   * @param {String} uid The uid
+   * @return {Client|RemoteClient} The client, undefined if unknown
+   */
+  find(uid) {
+    if (this.users.has(uid)) return this.users.get(uid);
+    let at = String(uid).indexOf('@');
+    if (uid.slice(at + 1) !== this.server.opts.name) return;
+    let client = this.server.clients.get(+uid.slice(0, at));
+    if (client && !client.remote && client.uid === uid) return client;
+  }
+  /**
+   * Handles messages from a link
+   * @param {Link} link The link
+   * @param {Object} message The message
+   */
+  messageHandler(link, message) {
+    switch (message.t) {
+      case 'join': {
+        if (this.find(message.uid)) break; // would be a loop
+        if (!this.isShared(message.room)) break;
+        let user = new RemoteClient(this.server, link, message);
+        this.users.set(user.uid, user);
+        if (this.server.rooms.has(user.roomName) && !user.attach()) {
+          this.emit('linkError', new Error('No ids left for ' + user.uid),
+            link);
+        }
+        this.broadcast(message, link);
+        break;
+      }
+      case 'part': {
+        let user = this.users.get(message.uid);
+        if (!user || user.remote !== link) break;
+        this._part(user);
+        this.broadcast(message, link);
+        break;
+      }
+      case 'packet': {
+        let user = this.users.get(message.uid);
+        if (!user || user.remote !== link) break;
+        let decoded = protocol.decode('clientbound',
+          Buffer.from(message.data, 'base64'));
+        let def = decoded &&
+          protocol.clientbound.byType.get(decoded.packet.type);
+        if (!def || !(def.relayed || def.type === 'chat' ||
+          def.type === 'emote')) break;
+        let packet = decoded.packet;
+        Client.trackState(user, packet);
+        if (user.room) {
+          user.sendToRoom(Object.assign({}, packet, {id: user.id}));
+        }
+        this.broadcast(message, link);
+        break;
+      }
+      case 'syncRequest': {
+        let from = this.find(message.from);
+        let to = this.find(message.to);
+        if (!from || !to || !from.room || from.room !== to.room) break;
+        from.room.askSync(from, to);
+        break;
+      }
+      case 'sync': {
+        let from = this.find(message.from);
+        let to = this.find(message.to);
+        if (!from || !to || !to.room || from.room !== to.room) break;
+        to.room.sync(from, to, Buffer.from(message.data, 'base64'));
+        break;
+      }
+      case 'syncProperty': {
+        let from = this.find(message.from);
+        let to = this.find(message.to);
+        if (!from || !to || !to.room || from.room !== to.room) break;
+        to.room.syncProperty(from, to, message.opcode, message.value);
+        break;
+      }
+      case 'message': {
+        let client = this.find(message.uid);
+        if (!client) break;
+        client.serverMessage(String(message.message), message.r, message.g,
+          message.b);
+        break;
+      }
+      case 'kick': {
+        let client = this.find(message.uid);
+        if (!client) break;
+        client.kick(String(message.by), String(message.reason));
+        break;
+      }
+    }
+  }
+  /**
+   * Forget a remote client
+   * @param {RemoteClient} user The client
+   */
+  _part(user) {
+    this.users.delete(user.uid);
+    user.detach();
+    user.connected = false;
+  }
+  /**
+   * Follow a new room, and put the remote clients already in it there
+   * @param {Room} room The room
+   */
+  _roomCreate(room) {
+    if (!this.isShared(room.name)) return;
+    // before the room asks anyone to sync for the client
+    room.on('join', client => {
+      if (client.remote) return;
+      this.broadcast(Object.assign({t: 'join'}, this.describe(client, room)));
+    });
+    room.on('part', client => {
+      if (!client.remote) this.broadcast({t: 'part', uid: client.uid});
+    });
+    room.on('send', (packet, buf) => {
+      if (packet.id === undefined) return;
+      let client = this.server.clients.get(packet.id);
+      if (!client || client.remote) return;
+      let def = protocol.clientbound.byType.get(packet.type);
+      if (!def.relayed && packet.type !== 'chat' && packet.type !== 'emote') {
+        return;
+      }
+      this.broadcast({t: 'packet', uid: client.uid,
+        data: buf.toString('base64')});
+    });
+    for (let user of this.users.values()) {
+      if (user.roomName === room.name && !user.room && !user.attach()) {
+        this.emit('linkError', new Error('No ids left for ' + user.uid));
+      }
+    }
+  }
+}
+
+module.exports = {Link, LinkManager};
@@ -0,0 +1,211 @@
+/** Log levels, by name */
+const levels = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * Writes structured log entries as JSON lines
+ * Entries are `{time, level, event, ...fields}`. Anything with a
+ * `log(level, event, fields)` method can be used in place of a Logger.
+ */
+class Logger {
+  /**
+   * Creates a new Logger
+   * @param {Object} [opts] Options
+   * @param {String} [opts.level=info] Lowest level written
+   * @param {Writable} [opts.stream=process.stdout] Stream to write to
+   * @param {Object} [opts.fields={}] Fields added to every entry
+   */
+  constructor(opts = {}) {
+    this.level = opts.level || 'info';
+    if (!(this.level in levels)) {
+      throw new Error(`Unknown log level: ${this.level}`);
+    }
+    this.stream = opts.stream || process.stdout;
+    this.fields = opts.fields || {};
+  }
+  /**
+   * Write an entry
+   * @param {String} level Level of the entry
+   * @param {String} event What happened, e.g. 'disconnect'
+   * @param {Object} [fields={}] Details
+   */
+  log(level, event, fields = {}) {
+    if (levels[level] < levels[this.level]) return;
+    let entry = Object.assign({time: new Date().toISOString(), level, event},
+      this.fields, fields);
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+  /**
+   * Make a logger adding fields to every entry, writing to the same stream
+   * @param {Object} fields The fields
+   * @return {Logger}
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      stream: this.stream,
+      fields: Object.assign({}, this.fields, fields)
+    });
+  }
+}
+for (let level of Object.keys(levels)) {
+  Logger.prototype[level] = function(event, fields) {
+    this.log(level, event, fields);
+  };
+}
+
+/**
+ * Describe a client for a log entry
+ * @param {Client} client The client
+ * @return {Object}
+ */
+function clientFields(client) {
+  return {
+    client: client.id,
+    nick: client.nick,
+    room: client.room ? client.room.name : null,
+    address: client.ip
+  };
+}
+
+/**
+ * Describe an error for a log entry
+ * @param {Error} err The error
+ * @return {Object}
+ */
+function errorFields(err) {
+  return {error: err.message, stack: err.stack};
+}
+
+/**
+ * Log the connection lifecycle, moderation actions and errors of a server
+ * @param {TPTMPServer} server The server
+ * @param {Object} logger The logger
+ */
+function attach(server, logger) {
+  let log = (level, event, fields) => logger.log(level, event, fields);
+  let byNick = by => by && typeof by === 'object' ? by.nick : by;
+
+  server.on('connection', client =>
+    log('debug', 'connection', {client: client.id, address: client.ip}));
+  server.on('refused', (address, message, reason) =>
+    log('info', 'refused', {address, reason, message}));
+  server.on('newClient', client => log('info', 'identified',
+    Object.assign(clientFields(client), {
+      version: client.version.join('.'),
+      dialect: client.dialect.name
+    })));
+  server.on('disconnect', (client, reason) =>
+    log('info', 'disconnect', Object.assign(clientFields(client), {reason})));
+  server.on('drop', (client, reason) =>
+    log('info', 'drop', Object.assign(clientFields(client), {reason})));
+  server.on('resume', client => log('info', 'resume', clientFields(client)));
+  server.on('join', (client, room) => {
+    if (client.remote) return;
+    log('debug', 'join', Object.assign(clientFields(client),
+      {room: room.name}));
+  });
+  server.on('part', (client, room) => {
+    if (client.remote) return;
+    log('debug', 'part', Object.assign(clientFields(client),
+      {room: room.name}));
+  });
+  server.on('rename', (client, old) =>
+    log('info', 'rename', Object.assign(clientFields(client), {old})));
+  server.on('authenticated', client =>
+    log('info', 'authenticated', clientFields(client)));
+  server.on('identifyTimeout', client =>
+    log('info', 'identifyTimeout', clientFields(client)));
+  server.on('protocolError', (client, err) => log('warn', 'protocolError',
+    Object.assign(clientFields(client), {error: err.message})));
+  server.on('flood', (client, limit, action) => log('warn', 'flood',
+    Object.assign(clientFields(client), {limit, action})));
+  server.on('lagging', (client, bytes) => log('warn', 'lagging',
+    Object.assign(clientFields(client), {bytes})));
+  server.on('caughtUp', client => log('info', 'caughtUp',
+    clientFields(client)));
+  server.on('whisper', (client, target, message) => log('debug', 'whisper',
+    Object.assign(clientFields(client), {to: target.nick, message})));
+  server.on('clientError', (err, client) => log('error', 'clientError',
+    Object.assign(clientFields(client), errorFields(err))));
+  server.on('sendError', (err, room) => log('error', 'sendError',
+    Object.assign({room: room.name}, errorFields(err))));
+  server.on('kick', (client, by, reason) => log('info', 'kick',
+    Object.assign(clientFields(client), {by: byNick(by), reason})));
+  server.on('command', (client, command, args) => log('debug', 'command',
+    Object.assign(clientFields(client), {command, args})));
+  server.on('commandError', (err, client, command) => log('error',
+    'commandError', Object.assign(clientFields(client), {command},
+      errorFields(err))));
+  server.on('reload', (changed, skipped) =>
+    log('info', 'reload', {changed, skipped}));
+  server.on('reloadError', err => log('error', 'reloadError',
+    errorFields(err)));
+  server.on('closing', reason => log('info', 'closing', {reason}));
+  server.on('roomCreate', room => {
+    room.on('op', (client, by) => log('info', 'op',
+      {room: room.name, nick: client.nick, by: byNick(by)}));
+    room.on('deop', (client, by) => log('info', 'deop',
+      {room: room.name, nick: client.nick, by: byNick(by)}));
+    room.on('spectator', (client, spectating, by) => log('info',
+      spectating ? 'spectate' : 'participate',
+      {room: room.name, nick: client.nick, by: byNick(by)}));
+    room.on('mode', (mode, value) => log('info', 'mode', {
+      room: room.name,
+      mode,
+      // keep passwords out of logs
+      value: mode === 'password' ? !!value : value
+    }));
+    room.on('vote', vote => log('info', 'vote', {room: room.name,
+      nick: vote.by.nick, kind: vote.kind, question: vote.question}));
+    room.on('voteEnd', (vote, passed) => log('info', 'voteEnd', {
+      room: room.name,
+      nick: vote.by.nick,
+      question: vote.question,
+      passed
+    }));
+  });
+
+  server.bans.on('add', entry => log('info', 'ban', entry));
+  server.middleware.on('handlerError', (err, stage) => log('error',
+    'handlerError', Object.assign({stage}, errorFields(err))));
+  server.bans.on('remove', entry => log('info', 'unban', entry));
+  server.bans.on('saveError', err => log('error', 'saveError',
+    Object.assign({file: server.bans.file}, errorFields(err))));
+  if (server.accounts) {
+    server.accounts.on('register', account =>
+      log('info', 'register', {nick: account.nick}));
+    // not 'drop', that is a dropped connection
+    server.accounts.on('drop', account =>
+      log('info', 'accountDrop', {nick: account.nick}));
+    server.accounts.on('saveError', err => log('error', 'saveError',
+      Object.assign({file: server.accounts.file}, errorFields(err))));
+  }
+  if (server.admin) {
+    server.admin.on('action', (action, target, details) => {
+      // keep tokens and passwords out of logs
+      let {reason, room, type} = details || {};
+      log('info', 'adminAction', {action, target, reason, room, type});
+    });
+    server.admin.on('requestError', (err, req) => log('error', 'requestError',
+      Object.assign({method: req.method, url: req.url}, errorFields(err))));
+  }
+  if (server.links) {
+    server.links.on('link', link => log('info', 'link', {server: link.name}));
+    server.links.on('unlink', (link, reason) =>
+      log('info', 'unlink', {server: link.name, reason}));
+    server.links.on('linkError', (err, link) => log('error', 'linkError',
+      Object.assign({server: link ? link.name : null}, errorFields(err))));
+  }
+}
+
+module.exports = {
+  levels,
+  Logger,
+  attach,
+  clientFields
+};
@@ -0,0 +1,365 @@
+const http = require('http');
+const protocol = require('./protocol');
+
+/**
+ * Render label values for the text format
+ * @param {Object} labels Values by label name
+ * @return {String}
+ */
+function renderLabels(labels) {
+  let names = Object.keys(labels);
+  if (!names.length) return '';
+  return '{' + names.map(name => `${name}="` + String(labels[name])
+    .replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"') + '"')
+    .join(',') + '}';
+}
+
+/** Base of metrics, holds a value per set of label values */
+class Metric {
+  /**
+   * Creates a new Metric
+   * @param {String} name Name of the metric
+   * @param {String} help Description of the metric
+   * @param {String[]} [labels=[]] Names of the labels
+   */
+  constructor(name, help, labels = []) {
+    this.name = name;
+    this.help = help;
+    this.labels = labels;
+    // values by label values joined with NUL
+    this.values = new Map();
+  }
+  /**
+   * Get the key of label values
+   * @param {Object} labels Values by label name
+   * @return {String}
+   */
+  _key(labels) {
+    return this.labels.map(name => labels[name]).join('\0');
+  }
+  /**
+   * Turn a key back into label values
+   * @param {String} key The key
+   * @return {Object}
+   */
+  _labels(key) {
+    let values = key.split('\0');
+    let labels = {};
+    this.labels.forEach((name, i) => labels[name] = values[i]);
+    return labels;
+  }
+  /**
+   * Render the metric in the text format
+   * @return {String}
+   */
+  render() {
+    let lines = [`# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`];
+    for (let [key, value] of this.values) {
+      lines.push(`${this.name}${renderLabels(this._labels(key))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/** A value that only goes up */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+  /**
+   * Increase the counter
+   * @param {Object} [labels={}] Values by label name
+   * @param {Number} [n=1] Amount to increase by
+   */
+  inc(labels = {}, n = 1) {
+    let key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + n);
+  }
+}
+
+/** A value that goes up and down, optionally read when rendered */
+class Gauge extends Metric {
+  /**
+   * Creates a new Gauge
+   * @param {String} name Name of the metric
+   * @param {String} help Description of the metric
+   * @param {String[]} [labels=[]] Names of the labels
+   * @param {Function} [collect] Called before rendering, to set the values
+   */
+  constructor(name, help, labels = [], collect = null) {
+    super(name, help, labels);
+    this.collect = collect;
+  }
+  get type() {
+    return 'gauge';
+  }
+  /**
+   * Set the gauge
+   * @param {Object} labels Values by label name
+   * @param {Number} value The value
+   */
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+  render() {
+    if (this.collect) this.collect(this);
+    return super.render();
+  }
+}
+
+/** Counts observations in buckets */
+class Histogram extends Metric {
+  /**
+   * Creates a new Histogram
+   * @param {String} name Name of the metric
+   * @param {String} help Description of the metric
+   * @param {Number[]} buckets Upper bounds of the buckets
+   */
+  constructor(name, help, buckets) {
+    super(name, help);
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+  get type() {
+    return 'histogram';
+  }
+  /**
+   * Record an observation
+   * @param {Number} value The value
+   */
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+  render() {
+    let lines = [`# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`];
+    this.buckets.forEach((bound, i) => {
+      lines.push(`${this.name}_bucket{le="${bound}"} ${this.counts[i]}`);
+    });
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines.join('\n');
+  }
+}
+
+/** Holds metrics and renders them in the Prometheus text format */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+  /**
+   * Add a metric
+   * @param {Metric} metric The metric
+   * @return {Metric} The metric
+   */
+  add(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+  /**
+   * Render every metric
+   * @return {String}
+   */
+  render() {
+    return [...this.metrics.values()].map(m => m.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Group a disconnect reason, reasons themselves contain nicks and messages
+ * @param {String} reason The reason
+ * @return {String}
+ */
+function reasonLabel(reason) {
+  let groups = [
+    [/^Kicked/, 'kicked'],
+    [/^Banned/, 'banned'],
+    [/^Protocol error/, 'protocol_error'],
+    [/^(Ping|Handshake) timeout/, 'timeout'],
+    [/^Too slow/, 'slow'],
+    [/^Flooding/, 'flood'],
+    [/^Server closing/, 'shutdown'],
+    [/^Not identified|^Too many wrong passwords/, 'not_identified'],
+    [/^(Old|New) version|^Script version|^Invalid nickname|^Nick /,
+      'handshake'],
+    [/^Client left|^Lost connection|^Connection/, 'left']
+  ];
+  let group = groups.find(([re]) => re.test(reason || ''));
+  return group ? group[1] : 'other';
+}
+
+/** The metrics of a server */
+class ServerMetrics extends Registry {
+  /**
+   * Creates a new ServerMetrics and starts following a server
+   * @param {TPTMPServer} server The server
+   */
+  constructor(server) {
+    super();
+    this.server = server;
+    this.add(new Gauge('tptmp_clients', 'Identified clients of this server',
+      [], g => g.set({}, [...server.clients.values()]
+        .filter(c => !c.remote && c.nick !== null).length)));
+    this.add(new Gauge('tptmp_remote_clients',
+      'Clients of linked servers in rooms of this server', [],
+      g => g.set({}, [...server.clients.values()].filter(c => c.remote)
+        .length)));
+    this.add(new Gauge('tptmp_rooms', 'Rooms', [],
+      g => g.set({}, server.rooms.size)));
+    this.connections = this.add(new Counter('tptmp_connections_total',
+      'Connections accepted'));
+    this.refused = this.add(new Counter('tptmp_refused_total',
+      'Connections refused', ['reason']));
+    this.disconnects = this.add(new Counter('tptmp_disconnects_total',
+      'Disconnections by reason', ['reason']));
+    this.packetsReceived = this.add(new Counter(
+      'tptmp_packets_received_total', 'Packets received', ['opcode', 'type']));
+    this.bytesReceived = this.add(new Counter('tptmp_received_bytes_total',
+      'Bytes of packets received', ['opcode', 'type']));
+    this.packetsSent = this.add(new Counter('tptmp_packets_sent_total',
+      'Packets sent', ['opcode', 'type']));
+    this.bytesSent = this.add(new Counter('tptmp_sent_bytes_total',
+      'Bytes of packets sent', ['opcode', 'type']));
+    this.protocolErrors = this.add(new Counter(
+      'tptmp_protocol_errors_total', 'Clients disconnected for bad packets'));
+    this.floods = this.add(new Counter('tptmp_flood_total',
+      'Packets over a rate limit', ['limit', 'action']));
+    this.commands = this.add(new Counter('tptmp_commands_total',
+      'Commands run', ['command']));
+    this.syncLatency = this.add(new Histogram('tptmp_sync_latency_seconds',
+      'Time members take to reply to sync requests',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]));
+    this.syncTimeouts = this.add(new Counter('tptmp_sync_timeouts_total',
+      'Sync requests members did not reply to in time'));
+    this.syncCacheServed = this.add(new Counter(
+      'tptmp_sync_cache_served_total', 'Joiners served from a sync cache'));
+    let local = () => [...server.clients.values()].filter(c => !c.remote);
+    this.add(new Gauge('tptmp_outbound_queued_bytes',
+      'Bytes waiting to be sent to clients', [],
+      g => g.set({}, local().reduce((sum, c) => sum + c.outbox.bytes, 0))));
+    this.add(new Gauge('tptmp_lagging_clients',
+      'Clients over their send budget', [],
+      g => g.set({}, local().filter(c => c.outbox.lagging).length)));
+    this.lagging = this.add(new Counter('tptmp_lagging_total',
+      'Times clients went over their send budget'));
+    this.coalesced = this.add(new Counter('tptmp_coalesced_packets_total',
+      'Packets replaced by newer ones while waiting to be sent', ['type']));
+    this.votes = this.add(new Counter('tptmp_votes_total',
+      'Votes and approvals that ended', ['kind', 'result']));
+
+    server.on('connection', () => this.connections.inc());
+    server.on('refused', (address, message, reason) =>
+      this.refused.inc({reason}));
+    server.on('disconnect', (client, reason) =>
+      this.disconnects.inc({reason: reasonLabel(reason)}));
+    server.on('protocolError', () => this.protocolErrors.inc());
+    server.on('lagging', () => this.lagging.inc());
+    server.on('flood', (client, limit, action) =>
+      this.floods.inc({limit, action}));
+    server.on('command', (client, command) => this.commands.inc({command}));
+    server.on('roomCreate', room => {
+      room.on('sync', (data, from, to) => {
+        let pending = room.syncs.get(to.id);
+        if (!pending) return;
+        this.syncLatency.observe((Date.now() - pending.time) / 1000);
+      });
+      room.on('syncTimeout', () => this.syncTimeouts.inc());
+      room.on('syncServed', () => this.syncCacheServed.inc());
+      room.on('voteEnd', (vote, passed) => this.votes.inc({
+        kind: vote.kind,
+        result: passed ? 'passed' : 'failed'
+      }));
+    });
+  }
+  /**
+   * Count a packet received from a client
+   * @param {Object} packet The decoded packet
+   * @param {Number} length Its size in bytes
+   */
+  received(packet, length) {
+    let def = this._definition('serverbound', packet);
+    this.packetsReceived.inc(def);
+    this.bytesReceived.inc(def, length);
+  }
+  /**
+   * Count packets sent to clients
+   * @param {Object} packet The clientbound packet
+   * @param {Number} length Its size in bytes
+   * @param {Number} [recipients=1] How many clients it was sent to
+   */
+  sent(packet, length, recipients = 1) {
+    let def = this._definition('clientbound', packet);
+    this.packetsSent.inc(def, recipients);
+    this.bytesSent.inc(def, length * recipients);
+  }
+  /**
+   * Get the labels of a packet
+   * @param {String} direction 'serverbound' or 'clientbound'
+   * @param {Object} packet The packet
+   * @return {Object} `{opcode, type}`
+   */
+  _definition(direction, packet) {
+    let table = protocol[direction];
+    let def = table.byType.get(packet.type);
+    let opcode = def ? def.opcode : packet.opcode;
+    return {opcode: opcode === undefined ? '' : opcode, type: packet.type};
+  }
+}
+
+/** Serves metrics over HTTP at /metrics, meant to be bound to localhost */
+class MetricsServer {
+  /**
+   * Creates a new MetricsServer
+   * @param {Registry} registry The metrics to serve
+   * @param {Object} [opts] Options
+   * @param {String} [opts.host=127.0.0.1] Host to listen on
+   * @param {Number} [opts.port=9404] Port to listen on
+   */
+  constructor(registry, opts) {
+    this.registry = registry;
+    this.opts = Object.assign({host: '127.0.0.1', port: 9404}, opts);
+    this.httpServer = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, {'Content-Type': 'text/plain'});
+        res.end('Not found\n');
+        return;
+      }
+      res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4'});
+      res.end(this.registry.render());
+    });
+  }
+  /**
+   * Start listening
+   */
+  listen() {
+    this.httpServer.listen(this.opts.port, this.opts.host);
+  }
+  /**
+   * Stop listening
+   * @return {Promise} Promise resolving once the server is closed
+   */
+  close() {
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  ServerMetrics,
+  MetricsServer,
+  reasonLabel
+};
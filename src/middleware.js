@@ -0,0 +1,196 @@
+const EventEmitter = require('events');
+
+/**
+ * Stages handlers can be registered for, with the context they are given
+ * connect: `{client, address}`, before anything is read from a new client
+ * handshake: `{client, nick, version}`, once the version is accepted, before
+ *   the nick is checked. The nick may be changed.
+ * join: `{client, room, password}`, once the client may join the room. The
+ *   room name may be changed to send the client elsewhere.
+ * part: `{client, room, to}`, when the client asks to leave its room for
+ *   the room named to
+ * chat: `{client, message, emote}`, for chat that is not a command. The
+ *   message may be changed.
+ * packet: `{client, packet}`, for every packet received after the handshake.
+ *   The packet may be changed.
+ * send: `{room, packet, except}`, for every packet sent to a room. The packet
+ *   may be changed.
+ */
+const STAGES = ['connect', 'handshake', 'join', 'part', 'chat', 'packet',
+  'send'];
+
+/**
+ * Whether a value is a promise
+ * @param {*} value The value
+ * @return {Boolean}
+ */
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Call a function with a value, once it resolves if it is a promise
+ * Keeps code that does not wait on anything synchronous.
+ * @param {*} value The value, or a promise of it
+ * @param {Function} fn The function
+ * @return {*} What fn returns, or a promise of it
+ */
+function after(value, fn) {
+  return isPromise(value) ? value.then(fn) : fn(value);
+}
+
+/**
+ * Handlers run in order for each stage of what clients do
+ * Handlers are called with a context holding what is being done. They change
+ * it by changing the context, and refuse it by returning false or calling
+ * `ctx.reject(reason)`, which stops the handlers after them. Handlers may
+ * return promises, the stage then waits for them. Stages without async
+ * handlers finish synchronously.
+ */
+class Middleware extends EventEmitter {
+  constructor() {
+    super();
+    // handlers by stage, in the order they run
+    this.stages = new Map(STAGES.map(stage => [stage, []]));
+    this._added = 0;
+  }
+  /**
+   * Register a handler
+   * @param {String} stage The stage, see STAGES
+   * @param {Function} handler Called with the context
+   * @param {Object} [opts] Options
+   * @param {Number} [opts.priority=0] Handlers with lower priorities run
+   *   first, handlers with the same priority run in the order they were added
+   * @param {String[]} [opts.types] For the packet and send stages, the only
+   *   packet types to run the handler for
+   * @return {Function} Removes the handler
+   */
+  use(stage, handler, opts = {}) {
+    let handlers = this.stages.get(stage);
+    if (!handlers) throw new Error(`Unknown stage: ${stage}`);
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+    handlers.push({
+      handler,
+      priority: opts.priority || 0,
+      types: opts.types || null,
+      order: this._added++
+    });
+    handlers.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    return () => this.remove(stage, handler);
+  }
+  /**
+   * Remove a handler
+   * @param {String} stage The stage
+   * @param {Function} handler The handler
+   * @return {Boolean} Whether the handler was registered
+   */
+  remove(stage, handler) {
+    let handlers = this.stages.get(stage) || [];
+    let index = handlers.findIndex(h => h.handler === handler);
+    if (index === -1) return false;
+    handlers.splice(index, 1);
+    return true;
+  }
+  /**
+   * Run the handlers of a stage
+   * A handler that throws or rejects refuses the action, and 'handlerError'
+   * is emitted with the error and stage.
+   * @param {String} stage The stage
+   * @param {Object} ctx The context, extended with `stage`, `rejected`,
+   *   `reason` and `reject(reason)`
+   * @return {Object} The context, or a promise of it if a handler was async
+   */
+  run(stage, ctx) {
+    let handlers = this.stages.get(stage);
+    ctx.stage = stage;
+    ctx.rejected = false;
+    ctx.reason = null;
+    ctx.reject = (reason = null) => {
+      ctx.rejected = true;
+      ctx.reason = reason;
+    };
+    let type = ctx.packet && ctx.packet.type;
+    let i = 0;
+    let settle = result => {
+      if (result === false) ctx.reject();
+    };
+    let fail = err => {
+      ctx.reject();
+      this.emit('handlerError', err, stage);
+    };
+    let next = () => {
+      while (i < handlers.length && !ctx.rejected) {
+        let {handler, types} = handlers[i++];
+        if (types && !types.includes(type)) continue;
+        let result;
+        try {
+          result = handler(ctx);
+        } catch (err) {
+          fail(err);
+          break;
+        }
+        if (isPromise(result)) return result.then(settle, fail).then(next);
+        settle(result);
+      }
+      return ctx;
+    };
+    return next();
+  }
+}
+
+/**
+ * Runs tasks one after another
+ * A task runs right away if nothing is waiting, so tasks that do not return
+ * promises run synchronously. Those that do hold back the tasks after them.
+ */
+class Queue {
+  /**
+   * Creates a new Queue
+   * @param {Function} onError Called with errors thrown or rejected by tasks,
+   *   the tasks after them still run
+   */
+  constructor(onError) {
+    this.onError = onError;
+    this._tail = null;
+  }
+  /**
+   * Run a task after the tasks already queued
+   * @param {Function} task The task, may return a promise
+   */
+  push(task) {
+    if (this._tail) {
+      this._tail = this._tail.then(task).catch(this.onError);
+    } else {
+      let result;
+      try {
+        result = task();
+      } catch (err) {
+        this.onError(err);
+        return;
+      }
+      if (!isPromise(result)) return;
+      this._tail = Promise.resolve(result).catch(this.onError);
+    }
+    let tail = this._tail;
+    tail.then(() => {
+      if (this._tail === tail) this._tail = null;
+    });
+  }
+  /**
+   * Whether a task is running or waiting
+   * @type {Boolean}
+   */
+  get busy() {
+    return this._tail !== null;
+  }
+}
+
+module.exports = {
+  STAGES,
+  Middleware,
+  Queue,
+  after,
+  isPromise
+};
@@ -0,0 +1,125 @@
+/**
+ * What is sent to a client, held back while its connection is congested
+ * Data goes straight to the socket until a write reports that the socket is
+ * buffering, then waits here until the socket drains. Packets that a later
+ * packet supersedes, such as cursor positions, are replaced in place while
+ * they wait. A client that stays over its byte budget is disconnected.
+ */
+class Outbox {
+  /**
+   * Creates a new Outbox
+   * @param {Client} client The client
+   * @param {Socket} socket Its socket
+   */
+  constructor(client, socket) {
+    this.client = client;
+    this.socket = socket;
+    // {buf, key} waiting for the socket to drain, key being set for packets
+    // that can be superseded
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.byKey = new Map();
+    this.congested = false;
+    // whether the client is over its budget, and since when
+    this.lagging = false;
+    this.lagSince = null;
+    this._lagTimer = null;
+    this.socket.on('drain', () => this.flush());
+  }
+  /**
+   * Bytes waiting to be sent, in the socket and here
+   * @type {Number}
+   */
+  get bytes() {
+    return this.socket.writableLength + this.queuedBytes;
+  }
+  /**
+   * Send data
+   * @param {Buffer} buf The data
+   * @param {Object} [packet] The packet it encodes, so that it can be
+   *   superseded
+   */
+  write(buf, packet = null) {
+    let server = this.client.server;
+    if (!this.congested) {
+      this.congested = !this.socket.write(buf);
+      this.check();
+      return;
+    }
+    let key = packet && server.opts.coalesce.includes(packet.type) ?
+      `${packet.type}:${packet.id}` : null;
+    let entry = key && this.byKey.get(key);
+    if (entry) {
+      this.queuedBytes += buf.length - entry.buf.length;
+      entry.buf = buf;
+      if (server.metrics) server.metrics.coalesced.inc({type: packet.type});
+    } else {
+      entry = {buf, key};
+      this.queue.push(entry);
+      this.queuedBytes += buf.length;
+      if (key) this.byKey.set(key, entry);
+    }
+    this.check();
+  }
+  /**
+   * Hand waiting data to the socket until it is congested again
+   * @param {Boolean} [all=false] Whether to hand it everything, for when the
+   *   connection is being closed
+   */
+  flush(all = false) {
+    this.congested = false;
+    while (this.queue.length && (all || !this.congested)) {
+      let entry = this.queue.shift();
+      if (entry.key) this.byKey.delete(entry.key);
+      this.queuedBytes -= entry.buf.length;
+      this.congested = !this.socket.write(entry.buf);
+    }
+    this.check();
+  }
+  /**
+   * Compare what is waiting to the budget, the client is disconnected once
+   * it has been over it for lagTimeout, or at once past twice the budget
+   */
+  check() {
+    let {maxQueuedBytes, lagTimeout} = this.client.server.opts;
+    let bytes = this.bytes;
+    if (!this.client.connected) return;
+    if (bytes > 2 * maxQueuedBytes) {
+      this.stop();
+      this.client.slow();
+      return;
+    }
+    if (bytes > maxQueuedBytes && !this.lagging) {
+      this.lagging = true;
+      this.lagSince = Date.now();
+      this._lagTimer = setTimeout(() => {
+        this._lagTimer = null;
+        if (this.lagging) this.client.slow();
+      }, lagTimeout);
+      this.client.server.emit('lagging', this.client, bytes);
+    } else if (bytes <= maxQueuedBytes && this.lagging) {
+      this.stop();
+      this.client.server.emit('caughtUp', this.client);
+    }
+  }
+  /**
+   * Drop the data waiting to be sent
+   */
+  clear() {
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.byKey.clear();
+    this.stop();
+  }
+  /**
+   * Stop the lag timer
+   */
+  stop() {
+    this.lagging = false;
+    this.lagSince = null;
+    clearTimeout(this._lagTimer);
+    this._lagTimer = null;
+  }
+}
+
+module.exports = Outbox;
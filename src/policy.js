@@ -0,0 +1,147 @@
+const constants = require('./constants');
+const protocol = require('./protocol');
+
+/** Defaults of the server options that decide who and what is allowed */
+const defaults = {
+  maxClients: 255,
+  version: {},
+  syncProperties: constants.VALID_130,
+  versions: null,
+  nickPattern: /^[\w-_]+$/,
+  maxNickLength: 32,
+  validateNick: null,
+  roomPattern: /^[\w-_]+$/,
+  maxRoomLength: 32,
+  validateRoom: null,
+  maxMessageLength: 200,
+  maxStringLength: 1024,
+  timeout: 90 * 1000,
+  handshakeTimeout: 10 * 1000,
+  lobby: 'null',
+  rejectMessages: {}
+};
+
+/**
+ * Messages sent to clients whose connection is refused, by reason
+ * Each is called with details of the refusal.
+ */
+const rejectMessages = {
+  full: ({clients, max}) => `Server is full (${clients}/${max})`,
+  outdated: ({expected}) => `Client out of date (expected at least ` +
+    `${expected})`,
+  tooNew: ({expected}) => `Client too new (expected at most ${expected})`,
+  script: ({expected}) => `Script version mismatch (expected ${expected})`,
+  badNick: () => 'Bad nickname',
+  nickTooLong: () => 'Nick too long',
+  banned: ({ban}) => `You are banned from this server ${ban}`,
+  // this message is hardcoded into the client, changing it is not advised
+  nickTaken: () => 'This nick is already on the server'
+};
+
+/**
+ * Throw if a value is not a whole number within bounds
+ * @param {String} name Name of the option
+ * @param {*} value The value
+ * @param {Number} min Smallest value allowed
+ * @param {Number} [max=Infinity] Largest value allowed
+ */
+function checkInteger(name, value, min, max = Infinity) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Invalid option ${name}: expected a whole number from ` +
+      `${min}${max < Infinity ? ` to ${max}` : ''}`);
+  }
+}
+
+/**
+ * Fill in and check the policy options
+ * Patterns may be given as strings, so that they can be set in JSON config
+ * files. Options are changed in place.
+ * @param {Object} opts Server options, with defaults applied
+ * @return {Object} The options
+ * @throws {Error} If an option is invalid
+ */
+function resolve(opts) {
+  opts.version = Object.assign({}, constants.version, opts.version);
+  for (let key of Object.keys(constants.version)) {
+    checkInteger(`version.${key}`, opts.version[key], 0);
+  }
+  // client ids are a single byte
+  checkInteger('maxClients', opts.maxClients, 1, 255);
+  if (!Array.isArray(opts.syncProperties) || opts.syncProperties.some(
+    opcode => !protocol.serverbound.byOpcode.has(opcode))) {
+    throw new Error('Invalid option syncProperties: expected an array of ' +
+      'opcodes');
+  }
+  for (let [pattern, maxLength, validate] of [
+    ['nickPattern', 'maxNickLength', 'validateNick'],
+    ['roomPattern', 'maxRoomLength', 'validateRoom']
+  ]) {
+    if (typeof opts[pattern] === 'string') {
+      opts[pattern] = new RegExp(opts[pattern]);
+    }
+    if (!(opts[pattern] instanceof RegExp)) {
+      throw new Error(`Invalid option ${pattern}: expected a RegExp`);
+    }
+    checkInteger(maxLength, opts[maxLength], 1, 255);
+    if (opts[validate] !== null && typeof opts[validate] !== 'function') {
+      throw new Error(`Invalid option ${validate}: expected a function`);
+    }
+  }
+  if (opts.versions === null) opts.versions = [{}];
+  if (!Array.isArray(opts.versions) || !opts.versions.length) {
+    throw new Error('Invalid option versions: expected a non-empty array');
+  }
+  // ranges default to the version option
+  opts.versions = opts.versions.map(spec => Object.assign({},
+    opts.version, {syncProperties: opts.syncProperties}, spec));
+  checkInteger('maxMessageLength', opts.maxMessageLength, 1);
+  // longer names and messages get refused with a message instead
+  checkInteger('maxStringLength', opts.maxStringLength, Math.max(
+    opts.maxNickLength, opts.maxRoomLength, opts.maxMessageLength));
+  checkInteger('timeout', opts.timeout, 0);
+  checkInteger('handshakeTimeout', opts.handshakeTimeout, 0);
+  if (typeof opts.lobby !== 'string' || !opts.roomPattern.test(opts.lobby) ||
+    opts.lobby.length > opts.maxRoomLength) {
+    throw new Error('Invalid option lobby: not a valid room name');
+  }
+  opts.rejectMessages = Object.assign({}, rejectMessages,
+    opts.rejectMessages);
+  for (let name of Object.keys(opts.rejectMessages)) {
+    let message = opts.rejectMessages[name];
+    if (!(name in rejectMessages)) {
+      throw new Error(`Invalid option rejectMessages: unknown reason ${name}`);
+    }
+    if (typeof message !== 'string' && typeof message !== 'function') {
+      throw new Error(`Invalid option rejectMessages.${name}: expected a ` +
+        'string or function');
+    }
+  }
+  return opts;
+}
+
+/**
+ * Check a name against a pattern, length and validator
+ * @param {String} name The name
+ * @param {RegExp} pattern Pattern it must match
+ * @param {Number} maxLength Longest name allowed
+ * @param {Function} validate Validator, may be null
+ * @param {Client} client The client using the name
+ * @return {Object} null if it is allowed, otherwise `{reason, message}`,
+ *   message being set by validators that return a string
+ */
+function checkName(name, pattern, maxLength, validate, client) {
+  if (!pattern.test(name)) return {reason: 'invalid', message: null};
+  if (name.length > maxLength) return {reason: 'tooLong', message: null};
+  if (!validate) return null;
+  let result = validate(name, client);
+  if (result === false) return {reason: 'invalid', message: null};
+  if (typeof result === 'string') return {reason: 'invalid', message: result};
+  return null;
+}
+
+module.exports = {
+  defaults,
+  rejectMessages,
+  resolve,
+  checkName
+};
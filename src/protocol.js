@@ -0,0 +1,482 @@
+/**
+ * Declarative description of the tptmp wire protocol
+ *
+ * Packets are plain objects with a `type` and one property per field, e.g.
+ * `{type: 'brushSize', w: 4, h: 4}`. Packets sent by game clients are
+ * "serverbound", packets sent by the server are "clientbound". Most drawing
+ * and settings packets are relayed by the server to the rest of the room
+ * with the id of the sender prepended, so they are declared once and appear
+ * in both tables.
+ */
+
+const NUL = Buffer.from([0]);
+
+/** Thrown by Reader when the buffer ends before the packet does */
+const INCOMPLETE = Symbol('incomplete');
+
+/** Thrown when the data received breaks the protocol */
+class ProtocolError extends Error {}
+
+/** Sequential reader over a buffer */
+class Reader {
+  /**
+   * Creates a new Reader
+   * @param {Buffer} buf Buffer to read from
+   * @param {Number} [offset=0] Offset to start reading at
+   * @param {Object} [limits] Limits of the decoder, see Decoder
+   */
+  constructor(buf, offset = 0, limits = {}) {
+    this.buf = buf;
+    this.offset = offset;
+    this.limits = limits;
+  }
+  /**
+   * Read a number of bytes
+   * @param {Number} n Number of bytes to read
+   * @return {Buffer}
+   */
+  bytes(n) {
+    if (this.offset + n > this.buf.length) throw INCOMPLETE;
+    let data = this.buf.slice(this.offset, this.offset + n);
+    this.offset += n;
+    return data;
+  }
+  /**
+   * Read a single byte
+   * @return {Number}
+   */
+  u8() {
+    return this.bytes(1)[0];
+  }
+  /**
+   * Read bytes up to a null byte, consuming the terminator
+   * @return {Buffer}
+   * @throws {ProtocolError} If there are more bytes than maxStringLength
+   */
+  terminated() {
+    let max = this.limits.maxStringLength || Infinity;
+    let end = this.buf.indexOf(0, this.offset);
+    // checked before the terminator arrives, so that it is not waited on
+    // forever
+    if ((end === -1 ? this.buf.length : end) - this.offset > max) {
+      throw new ProtocolError(`String too long (over ${max} bytes)`);
+    }
+    if (end === -1) throw INCOMPLETE;
+    let data = this.buf.slice(this.offset, end);
+    this.offset = end + 1;
+    return data;
+  }
+  /**
+   * Read a null-terminated string
+   * @return {String}
+   */
+  string() {
+    return this.terminated().toString();
+  }
+}
+
+/**
+ * Field types. `read` takes a Reader and returns the value, `write` takes the
+ * value and returns a Buffer. Types that span several packet properties
+ * return and take an array, and are declared with an array of names.
+ */
+const types = {
+  u8: {
+    read: r => r.u8(),
+    write: v => Buffer.from([v])
+  },
+  u24: {
+    read: r => r.bytes(3).readUIntBE(0, 3),
+    write: v => {
+      let buf = Buffer.alloc(3);
+      buf.writeUIntBE(v, 0, 3);
+      return buf;
+    }
+  },
+  string: {
+    read: r => r.string(),
+    write: v => Buffer.concat([Buffer.from(v), NUL])
+  },
+  // 24 bit length followed by that many bytes (stamps and syncs)
+  blob: {
+    read: r => {
+      let size = types.u24.read(r);
+      if (size > r.limits.maxBlobSize) {
+        throw new ProtocolError(`Payload too large (${size} bytes)`);
+      }
+      return r.bytes(size);
+    },
+    write: v => Buffer.concat([types.u24.write(v.length), v])
+  },
+  // 12 bit x and 12 bit y packed into 3 bytes
+  point: {
+    read: r => {
+      let [a, b, c] = r.bytes(3);
+      return [(a << 4) | (b >> 4), ((b & 15) << 8) | c];
+    },
+    write: ([x, y]) => Buffer.from([
+      x >> 4, ((x & 15) << 4) | (y >> 8), y & 255
+    ])
+  },
+  // 2 bit mouse button and 14 bit element id
+  selection: {
+    read: r => {
+      let [a, b] = r.bytes(2);
+      return [a >> 6, ((a & 63) << 8) | b];
+    },
+    write: ([button, element]) => Buffer.from([
+      (button << 6) | (element >> 8), element & 255
+    ])
+  },
+  // user count followed by (id, nick) pairs
+  users: {
+    read: r => {
+      let users = [];
+      for (let count = r.u8(); count > 0; count--) {
+        users.push({id: r.u8(), nick: r.string()});
+      }
+      return users;
+    },
+    write: users => Buffer.concat([
+      Buffer.from([users.length]),
+      ...users.map(u => Buffer.concat([Buffer.from([u.id]),
+        types.string.write(u.nick)]))
+    ])
+  }
+};
+
+/** Lookup tables for the packets of one direction */
+class PacketTable {
+  constructor() {
+    this.byOpcode = new Map();
+    this.byType = new Map();
+  }
+  /**
+   * Declare a packet
+   * @param {Number} opcode Opcode of the packet
+   * @param {String} type Name of the packet
+   * @param {Array} [fields=[]] List of [name, type] pairs
+   * @param {Boolean} [relayed=false] Whether the server relays the packet
+   */
+  add(opcode, type, fields = [], relayed = false) {
+    this.remove(opcode);
+    if (this.byType.has(type)) this.remove(this.byType.get(type).opcode);
+    let def = {opcode, type, fields, relayed};
+    this.byOpcode.set(opcode, def);
+    this.byType.set(type, def);
+  }
+  /**
+   * Remove a packet
+   * @param {Number} opcode Opcode of the packet
+   * @return {Boolean} Whether the packet existed
+   */
+  remove(opcode) {
+    let def = this.byOpcode.get(opcode);
+    if (!def) return false;
+    this.byOpcode.delete(opcode);
+    this.byType.delete(def.type);
+    return true;
+  }
+  /**
+   * Copy the table
+   * @return {PacketTable}
+   */
+  clone() {
+    let copy = new PacketTable();
+    for (let def of this.byOpcode.values()) {
+      copy.add(def.opcode, def.type, def.fields, def.relayed);
+    }
+    return copy;
+  }
+}
+
+const serverbound = new PacketTable();
+const clientbound = new PacketTable();
+
+/**
+ * Declare a packet the server relays to the room, prefixed with the sender id
+ * @param {Number} opcode Opcode of the packet
+ * @param {String} type Name of the packet
+ * @param {Array} [fields=[]] List of [name, type] pairs
+ */
+function relayed(opcode, type, fields = []) {
+  serverbound.add(opcode, type, fields, true);
+  clientbound.add(opcode, type, [['id', 'u8'], ...fields], true);
+}
+
+const value = [['value', 'u8']];
+
+serverbound.add(2, 'ping');
+serverbound.add(16, 'join', [['room', 'string']]);
+serverbound.add(19, 'chat', [['message', 'string']]);
+serverbound.add(20, 'emote', [['message', 'string']]);
+serverbound.add(21, 'kick', [['nick', 'string'], ['reason', 'string']]);
+serverbound.add(128, 'syncReply', [['id', 'u8'], ['data', 'blob']]);
+serverbound.add(130, 'syncProperty',
+  [['id', 'u8'], ['opcode', 'u8'], ['value', 'u8']]);
+
+clientbound.add(2, 'ping');
+clientbound.add(16, 'roomUsers', [['users', 'users']]);
+clientbound.add(17, 'userJoin', [['id', 'u8'], ['nick', 'string']]);
+clientbound.add(18, 'userPart', [['id', 'u8']]);
+clientbound.add(19, 'chat', [['id', 'u8'], ['message', 'string']]);
+clientbound.add(20, 'emote', [['id', 'u8'], ['message', 'string']]);
+clientbound.add(22, 'serverMessage',
+  [['message', 'string'], ['r', 'u8'], ['g', 'u8'], ['b', 'u8']]);
+clientbound.add(128, 'syncRequest', [['id', 'u8']]);
+clientbound.add(129, 'sync', [['data', 'blob']]);
+
+relayed(32, 'mouseMove', [[['x', 'y'], 'point']]);
+relayed(33, 'mouseClick', [['state', 'u8']]);
+relayed(34, 'brushSize', [['w', 'u8'], ['h', 'u8']]);
+relayed(35, 'brushShape');
+relayed(36, 'modifiers', [['state', 'u8']]);
+relayed(37, 'selectElement', [[['button', 'element'], 'selection']]);
+relayed(38, 'replaceMode', [['mode', 'u8']]);
+relayed(48, 'cmode', value);
+relayed(49, 'pause', value);
+relayed(50, 'stepFrame');
+relayed(51, 'decoMode', value);
+relayed(52, 'hudMode', value); // no longer used
+relayed(53, 'ambientHeat', value);
+relayed(54, 'newtonianGravity', value);
+relayed(55, 'debugMode', value); // not used and cannot be implemented
+relayed(56, 'legacyHeat', value);
+relayed(57, 'waterEqualization', value);
+relayed(58, 'gravityMode', value);
+relayed(59, 'airMode', value);
+relayed(60, 'clearSparks');
+relayed(61, 'clearPressure');
+relayed(62, 'invertPressure');
+relayed(63, 'clearSim');
+relayed(64, 'graphics', [['value', 'u24']]);
+relayed(65, 'decoColor',
+  [['a', 'u8'], ['r', 'u8'], ['g', 'u8'], ['b', 'u8']]);
+relayed(66, 'stamp', [[['x', 'y'], 'point'], ['data', 'blob']]);
+relayed(67, 'clearArea',
+  [[['x1', 'y1'], 'point'], [['x2', 'y2'], 'point']]);
+relayed(68, 'edgeMode', value);
+relayed(69, 'loadSave', [['saveId', 'u24']]);
+relayed(70, 'reloadSave');
+
+/** The packet tables of the current protocol */
+const base = {serverbound, clientbound};
+
+/**
+ * Make packet tables for clients whose protocol differs from the current one
+ * @param {Object} [changes] Differences from the current protocol
+ * @param {Number[]} [changes.remove=[]] Opcodes removed in both directions
+ * @param {Object[]} [changes.packets=[]] Packets added or replaced, as
+ *   `{direction, opcode, type, fields, relayed}`. Relayed packets are added
+ *   to both directions, with the sender id added to the clientbound one.
+ * @return {Object} `{serverbound, clientbound}`
+ */
+function variant({remove = [], packets = []} = {}) {
+  let tables = {
+    serverbound: serverbound.clone(),
+    clientbound: clientbound.clone()
+  };
+  for (let opcode of remove) {
+    tables.serverbound.remove(opcode);
+    tables.clientbound.remove(opcode);
+  }
+  for (let packet of packets) {
+    let {direction, opcode, type, fields = []} = packet;
+    if (packet.relayed) {
+      tables.serverbound.add(opcode, type, fields, true);
+      tables.clientbound.add(opcode, type, [['id', 'u8'], ...fields], true);
+    } else {
+      table(direction, tables).add(opcode, type, fields);
+    }
+  }
+  return tables;
+}
+
+/**
+ * Get the packet table for a direction
+ * @param {String} direction 'serverbound' or 'clientbound'
+ * @param {Object} [tables=base] Tables to pick from, see variant
+ * @return {PacketTable}
+ */
+function table(direction, tables = base) {
+  if (direction !== 'serverbound' && direction !== 'clientbound') {
+    throw new Error(`Unknown direction: ${direction}`);
+  }
+  return tables[direction];
+}
+
+/**
+ * Encode a packet
+ * The handshake is not a real packet and is encoded from
+ * `{type: 'handshake', major, minor, script, nick}` (serverbound) and
+ * `{type: 'handshakeResponse', ok, message}` (clientbound).
+ * @param {String} direction 'serverbound' or 'clientbound'
+ * @param {Object} packet The packet to encode
+ * @param {Object} [tables=base] Packet tables to use, see variant
+ * @return {Buffer}
+ */
+function encode(direction, packet, tables = base) {
+  if (packet.type === 'handshake') {
+    return Buffer.concat([
+      Buffer.from([packet.major, packet.minor, packet.script]),
+      types.string.write(packet.nick)
+    ]);
+  } else if (packet.type === 'handshakeResponse') {
+    if (packet.ok) return Buffer.from([1]);
+    return Buffer.concat([NUL, types.string.write(packet.message)]);
+  }
+  let def = table(direction, tables).byType.get(packet.type);
+  if (!def) throw new Error(`Unknown ${direction} packet: ${packet.type}`);
+  let parts = [Buffer.from([def.opcode])];
+  for (let [name, type] of def.fields) {
+    let v = Array.isArray(name) ? name.map(n => packet[n]) : packet[name];
+    parts.push(types[type].write(v));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode the handshake at the start of a connection
+ * @param {String} direction 'serverbound' or 'clientbound'
+ * @param {Reader} r Reader to read from
+ * @return {Object}
+ */
+function decodeHandshake(direction, r) {
+  if (direction === 'serverbound') {
+    let [major, minor, script] = r.bytes(3);
+    return {type: 'handshake', major, minor, script, nick: r.string()};
+  }
+  if (r.u8() === 1) return {type: 'handshakeResponse', ok: true};
+  return {type: 'handshakeResponse', ok: false, message: r.string()};
+}
+
+/**
+ * Decode a single packet from a buffer
+ * Unknown opcodes decode to `{type: 'unknown', opcode}` and consume one byte,
+ * unless limits.strict is set.
+ * @param {String} direction 'serverbound' or 'clientbound'
+ * @param {Buffer} buf Buffer to decode from
+ * @param {Number} [offset=0] Offset of the packet in the buffer
+ * @param {Boolean} [handshake=false] Whether to decode the handshake instead
+ * @param {Object} [limits] Limits, see Decoder
+ * @param {Object} [tables=base] Packet tables to use, see variant
+ * @return {Object} `{packet, length}`, or null if the buffer is incomplete
+ * @throws {ProtocolError} If the packet breaks a limit, or has an unknown
+ *   opcode with limits.strict set
+ */
+function decode(direction, buf, offset = 0, handshake = false, limits = {},
+  tables = base) {
+  let t = table(direction, tables);
+  let r = new Reader(buf, offset, limits);
+  let packet;
+  // what is being decoded, for errors
+  let what = handshake ? 'handshake' : 'packet';
+  try {
+    if (handshake) {
+      packet = decodeHandshake(direction, r);
+    } else {
+      let opcode = r.u8();
+      let def = t.byOpcode.get(opcode);
+      if (!def && limits.strict) {
+        throw new ProtocolError(`Unknown opcode ${opcode}`);
+      } else if (!def) {
+        packet = {type: 'unknown', opcode};
+      } else {
+        what = def.type;
+        packet = {type: def.type};
+        for (let [name, type] of def.fields) {
+          let v = types[type].read(r);
+          if (!Array.isArray(name)) packet[name] = v;
+          else name.forEach((n, i) => packet[n] = v[i]);
+        }
+      }
+    }
+  } catch (err) {
+    if (err === INCOMPLETE) return null;
+    if (err instanceof ProtocolError && what !== 'packet') {
+      throw new ProtocolError(`${err.message} in ${what}`);
+    }
+    throw err;
+  }
+  return {packet, length: r.offset - offset};
+}
+
+/** Decodes a stream of packets delivered in arbitrary chunks */
+class Decoder {
+  /**
+   * Creates a new Decoder
+   * @param {String} direction 'serverbound' or 'clientbound'
+   * @param {Object} [opts] Options
+   * @param {Boolean} [opts.handshake=true] Whether the stream starts with the
+   *   handshake
+   * @param {Number} [opts.maxBlobSize=Infinity] Largest stamp or sync payload
+   *   accepted, in bytes
+   * @param {Number} [opts.maxStringLength=Infinity] Longest null-terminated
+   *   field accepted, in bytes
+   * @param {Boolean} [opts.strict=false] Whether unknown opcodes are errors,
+   *   they cannot be skipped without knowing their length
+   * @param {Function} [opts.onPacket] Called with (packet, length) for every
+   *   packet decoded, length being its size in bytes
+   * @param {Object} [opts.tables=base] Packet tables to use, see variant
+   * @param {Function} [opts.onHandshake] Called with the handshake as soon as
+   *   it is decoded, before the packets after it, so that it can change the
+   *   tables
+   */
+  constructor(direction, opts = {}) {
+    table(direction); // validate
+    this.direction = direction;
+    this.tables = opts.tables || base;
+    this.onHandshake = opts.onHandshake || null;
+    this.handshake = opts.handshake !== false;
+    this.limits = {
+      maxBlobSize: opts.maxBlobSize || Infinity,
+      maxStringLength: opts.maxStringLength || Infinity,
+      strict: Boolean(opts.strict)
+    };
+    this.onPacket = opts.onPacket || null;
+    this._data = Buffer.alloc(0);
+  }
+  /**
+   * Add data to the stream
+   * @param {Buffer} chunk Received data
+   * @return {Object[]} Packets completed by this chunk
+   * @throws {ProtocolError} If the data breaks a limit
+   */
+  push(chunk) {
+    this._data = this._data.length ? Buffer.concat([this._data, chunk]) : chunk;
+    let packets = [];
+    let offset = 0;
+    let result;
+    while (
+      (result = decode(this.direction, this._data, offset, this.handshake,
+        this.limits, this.tables))
+    ) {
+      if (this.handshake && this.onHandshake) this.onHandshake(result.packet);
+      this.handshake = false;
+      packets.push(result.packet);
+      offset += result.length;
+      if (this.onPacket) this.onPacket(result.packet, result.length);
+    }
+    this._data = this._data.slice(offset);
+    return packets;
+  }
+  /**
+   * Bytes received of a packet that is not complete yet
+   * @type {Number}
+   */
+  get buffered() {
+    return this._data.length;
+  }
+}
+
+module.exports = {
+  ProtocolError,
+  serverbound,
+  clientbound,
+  base,
+  variant,
+  types,
+  encode,
+  decode,
+  Decoder
+};
@@ -0,0 +1,143 @@
+/** Token bucket, refilled continuously */
+class TokenBucket {
+  /**
+   * Creates a new TokenBucket
+   * @param {Number} rate Tokens added per second
+   * @param {Number} burst Maximum number of tokens
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.last = Date.now();
+  }
+  /**
+   * Take tokens from the bucket if there are enough
+   * @param {Number} [n=1] Number of tokens to take
+   * @return {Boolean} Whether there were enough tokens
+   */
+  take(n = 1) {
+    let now = Date.now();
+    this.tokens = Math.min(this.burst,
+      this.tokens + (now - this.last) / 1000 * this.rate);
+    this.last = now;
+    if (this.tokens < n) return false;
+    this.tokens -= n;
+    return true;
+  }
+}
+
+/**
+ * Default limits, by class. Each class has the packet types it covers, the
+ * rate and burst of its bucket, and the action taken when a client goes over
+ * it: 'drop' the packet, 'warn' the client and drop it, 'mute' the client
+ * server-wide for a while or 'kick' the client. Classes with `resync` change
+ * the simulation, which the client already did, so it is synced back to its
+ * room once it stops going over.
+ */
+const defaults = {
+  chat: {
+    types: ['chat', 'emote'],
+    rate: 1,
+    burst: 5,
+    action: 'warn'
+  },
+  destructive: {
+    types: [
+      'clearSparks', 'clearPressure', 'invertPressure', 'clearSim',
+      'clearArea', 'loadSave', 'reloadSave'
+    ],
+    rate: 0.2,
+    burst: 3,
+    action: 'warn',
+    resync: true
+  },
+  stamp: {
+    types: ['stamp'],
+    rate: 0.5,
+    burst: 3,
+    action: 'warn',
+    resync: true
+  },
+  cursor: {
+    types: ['mouseMove'],
+    rate: 100,
+    burst: 200,
+    action: 'drop'
+  }
+};
+
+const ACTIONS = ['drop', 'warn', 'mute', 'kick'];
+
+/**
+ * Merge limits with the defaults and validate them
+ * @param {Object} [limits] Limits by class, a class set to null or false is
+ *   disabled, other classes are merged with the default of the same name
+ * @return {Object}
+ */
+function resolve(limits = {}) {
+  let resolved = {};
+  let names = new Set([...Object.keys(defaults), ...Object.keys(limits)]);
+  for (let name of names) {
+    if (limits[name] === null || limits[name] === false) continue;
+    let limit = Object.assign({}, defaults[name], limits[name]);
+    if (!Array.isArray(limit.types) || !(limit.rate > 0) ||
+      !(limit.burst >= 1)) {
+      throw new Error(`Invalid rate limit: ${name}`);
+    }
+    if (!ACTIONS.includes(limit.action)) {
+      throw new Error(`Invalid rate limit action: ${limit.action}`);
+    }
+    resolved[name] = limit;
+  }
+  return resolved;
+}
+
+/** Rate limits of a single client */
+class RateLimiter {
+  /**
+   * Creates a new RateLimiter
+   * @param {Object} limits Limits, as returned by resolve
+   */
+  constructor(limits) {
+    this.byType = new Map();
+    for (let name of Object.keys(limits)) {
+      let limit = limits[name];
+      let state = {
+        name,
+        action: limit.action,
+        resync: !!limit.resync,
+        bucket: new TokenBucket(limit.rate, limit.burst),
+        // whether the client is over the limit, so actions happen once
+        over: false
+      };
+      for (let type of limit.types) this.byType.set(type, state);
+    }
+  }
+  /**
+   * Check a packet against the limits
+   * @param {String} type Type of the packet
+   * @return {Object} null if the packet is allowed, otherwise
+   *   `{name, action, first, resync}` where first is whether this is the
+   *   first packet over the limit since the client was last under it
+   */
+  check(type) {
+    let state = this.byType.get(type);
+    if (!state) return null;
+    if (state.bucket.take()) {
+      state.over = false;
+      return null;
+    }
+    let first = !state.over;
+    state.over = true;
+    return {name: state.name, action: state.action, first,
+      resync: state.resync};
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  defaults,
+  resolve
+};
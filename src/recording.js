@@ -0,0 +1,354 @@
+/**
+ * Recording and replay of room activity
+ *
+ * A recording is a gzipped file starting with the magic 'TPTMPREC', a format
+ * byte and the start time as a double (ms since the epoch), followed by
+ * records of a 4 byte time offset in ms, a kind byte, a 4 byte length and
+ * the payload. Payloads are clientbound packets for PACKET, sync data for
+ * SYNC, an id byte followed by the nick for JOIN and an id byte for PART.
+ */
+const fs = require('fs');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+const TPTMPClient = require('./tptmpclient');
+const {RateLimiter} = require('./ratelimit');
+
+const MAGIC = Buffer.from('TPTMPREC');
+const FORMAT = 1;
+const HEADER_SIZE = MAGIC.length + 9;
+const kinds = {
+  PACKET: 1,
+  SYNC: 2,
+  JOIN: 3,
+  PART: 4
+};
+
+/**
+ * Writes the activity of a room to a recording
+ * Emits 'start', 'stop' and 'writeError' (err), stop also rejects on errors.
+ */
+class Recorder extends EventEmitter {
+  /**
+   * Creates a new Recorder
+   * @param {Room} room The room to record
+   * @param {String} file Path of the recording
+   */
+  constructor(room, file) {
+    super();
+    this.room = room;
+    this.file = file;
+    this.recording = false;
+    this.started = null;
+    this._gzip = null;
+    this._listeners = null;
+  }
+  /**
+   * Start recording, with the members of the room, its cached simulation and
+   * their drawing state
+   */
+  start() {
+    if (this.recording) return;
+    this.recording = true;
+    this.started = Date.now();
+    this._gzip = zlib.createGzip();
+    this._done = new Promise((resolve, reject) => {
+      this._gzip.pipe(fs.createWriteStream(this.file))
+      .on('close', resolve)
+      .on('error', err => {
+        this.emit('writeError', err);
+        reject(err);
+      });
+    });
+    this._done.catch(() => {}); // reported through the writeError event
+    let header = Buffer.alloc(HEADER_SIZE);
+    MAGIC.copy(header);
+    header[MAGIC.length] = FORMAT;
+    header.writeDoubleBE(this.started, MAGIC.length + 1);
+    this._gzip.write(header);
+
+    for (let m of this.room.clients) this._join(m);
+    // start from the room's cached simulation when there is one
+    if (this.room.cache.usable(false)) {
+      this.write(kinds.SYNC, this.room.cache.data);
+      for (let [, buf] of this.room.cache.entries()) {
+        this.write(kinds.PACKET, buf);
+      }
+    }
+    for (let m of this.room.clients) {
+      for (let packet of this.room.stateOf(m)) this._packet(packet);
+    }
+    this._listeners = {
+      send: packet => {
+        let def = protocol.clientbound.byType.get(packet.type);
+        if (def.relayed || packet.type === 'chat' ||
+          packet.type === 'emote') {
+          this._packet(packet);
+        }
+      },
+      syncProperty: packet => this._packet(packet),
+      sync: data => this.write(kinds.SYNC, data),
+      load: data => this.write(kinds.SYNC, data),
+      join: client => this._join(client),
+      part: client => this.write(kinds.PART, Buffer.from([client.id])),
+      delete: () => this.stop()
+    };
+    for (let event of Object.keys(this._listeners)) {
+      this.room.on(event, this._listeners[event]);
+    }
+    this.emit('start');
+  }
+  /**
+   * Stop recording
+   * @return {Promise} Promise resolving once the file is written
+   */
+  stop() {
+    if (!this.recording) return this._done || Promise.resolve();
+    this.recording = false;
+    for (let event of Object.keys(this._listeners)) {
+      this.room.removeListener(event, this._listeners[event]);
+    }
+    this._gzip.end();
+    this.emit('stop');
+    return this._done;
+  }
+  /**
+   * Write a record
+   * @param {Number} kind Kind of the record, see kinds
+   * @param {Buffer} payload Payload of the record
+   */
+  write(kind, payload) {
+    let head = Buffer.alloc(9);
+    head.writeUInt32BE(Date.now() - this.started, 0);
+    head[4] = kind;
+    head.writeUInt32BE(payload.length, 5);
+    this._gzip.write(Buffer.concat([head, payload]));
+  }
+  /**
+   * Write a packet record
+   * @param {Object} packet Clientbound packet
+   */
+  _packet(packet) {
+    this.write(kinds.PACKET, protocol.encode('clientbound', packet));
+  }
+  /**
+   * Write a join record
+   * @param {Client} client The client that joined
+   */
+  _join(client) {
+    this.write(kinds.JOIN,
+      Buffer.concat([Buffer.from([client.id]), Buffer.from(client.nick)]));
+  }
+}
+
+/**
+ * Read a recording
+ * @param {String} file Path of the recording
+ * @return {Promise} Promise resolving to `{started, records}`, where records
+ *   are `{time, kind, data}` and PACKET records also have the decoded packet
+ */
+function read(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, (err, compressed) => {
+      if (err) return reject(err);
+      zlib.gunzip(compressed, (err, buf) => {
+        if (err) return reject(err);
+        if (buf.length < HEADER_SIZE || !buf.slice(0, MAGIC.length)
+          .equals(MAGIC) || buf[MAGIC.length] !== FORMAT) {
+          return reject(new Error(`Not a recording: ${file}`));
+        }
+        let started = buf.readDoubleBE(MAGIC.length + 1);
+        let records = [];
+        let offset = HEADER_SIZE;
+        while (offset + 9 <= buf.length) {
+          let length = buf.readUInt32BE(offset + 5);
+          let record = {
+            time: buf.readUInt32BE(offset),
+            kind: buf[offset + 4],
+            data: buf.slice(offset + 9, offset + 9 + length)
+          };
+          if (record.data.length < length) {
+            return reject(new Error(`Truncated recording: ${file}`));
+          }
+          if (record.kind === kinds.PACKET) {
+            let decoded;
+            try {
+              decoded = protocol.decode('clientbound', record.data);
+            } catch (err) {
+              return reject(err);
+            }
+            if (!decoded) {
+              return reject(new Error(`Corrupt recording: ${file}`));
+            }
+            record.packet = decoded.packet;
+          }
+          records.push(record);
+          offset += 9 + length;
+        }
+        resolve({started, records});
+      });
+    });
+  });
+}
+
+/**
+ * Plays a recording back into a live room
+ * Each recorded user is replayed by a virtual participant named with a prefix,
+ * so drawing state stays separate per user. Sync snapshots in the recording
+ * are loaded into the room, chat is shown as server messages.
+ * Emits 'start', 'end', 'skip' (nick, err) and 'playError' (err).
+ */
+class Replayer extends EventEmitter {
+  /**
+   * Creates a new Replayer
+   * @param {TPTMPServer} server The server to replay into
+   * @param {String} file Path of the recording
+   * @param {Object} opts Options
+   * @param {String} opts.room Name of the room to replay into
+   * @param {Number} [opts.speed=1] Playback speed, 2 is twice as fast
+   * @param {String} [opts.nick=replay] Nick of the host participant
+   * @param {String} [opts.prefix=r_] Prefix of the nicks of replayed users
+   */
+  constructor(server, file, opts) {
+    super();
+    this.server = server;
+    this.file = file;
+    this.opts = Object.assign({
+      speed: 1,
+      nick: 'replay',
+      prefix: 'r_'
+    }, opts);
+    this.playing = false;
+    this.host = null;
+    this.participants = new Map();
+    this.nicks = new Map();
+    this._timer = null;
+  }
+  /**
+   * Start playing
+   * @return {Promise} Promise resolving once playback has started
+   */
+  async start() {
+    let {records} = await read(this.file);
+    this.host = await this._spawn(this.opts.nick);
+    this.playing = true;
+    this.started = Date.now();
+    this._records = records;
+    this._index = 0;
+    this.emit('start');
+    this._next();
+  }
+  /**
+   * Stop playing and remove the participants
+   */
+  stop() {
+    if (!this.host) return;
+    clearTimeout(this._timer);
+    this.playing = false;
+    for (let bot of this.participants.values()) {
+      if (bot) bot.close();
+    }
+    this.participants.clear();
+    this.host.close();
+    this.host = null;
+    this.emit('end');
+  }
+  /**
+   * Play the records that are due and schedule the next one
+   */
+  async _next() {
+    while (this.playing && this._index < this._records.length) {
+      let record = this._records[this._index];
+      let delay = record.time / this.opts.speed - (Date.now() - this.started);
+      if (delay > 0) {
+        this._timer = setTimeout(() => this._next(), delay);
+        return;
+      }
+      this._index++;
+      try {
+        await this._play(record);
+      } catch (err) {
+        this.emit('playError', err);
+      }
+    }
+    if (this.playing) this.stop();
+  }
+  /**
+   * Play a record
+   * @param {Object} record The record
+   */
+  async _play(record) {
+    let room = this.server.rooms.get(this.opts.room);
+    switch (record.kind) {
+      case kinds.JOIN: {
+        let id = record.data[0];
+        let nick = record.data.slice(1).toString();
+        this.nicks.set(id, nick);
+        try {
+          this.participants.set(id,
+            await this._spawn(this.opts.prefix + nick));
+        } catch (err) {
+          // most likely the nick is taken, this user's packets are dropped
+          this.participants.set(id, null);
+          this.emit('skip', nick, err);
+        }
+        break;
+      }
+      case kinds.PART: {
+        let bot = this.participants.get(record.data[0]);
+        if (bot) bot.close();
+        this.participants.delete(record.data[0]);
+        break;
+      }
+      case kinds.SYNC: {
+        if (room) room.load(record.data);
+        break;
+      }
+      case kinds.PACKET: {
+        let packet = record.packet;
+        if (packet.type === 'chat' || packet.type === 'emote') {
+          let nick = this.nicks.get(packet.id);
+          if (room) {
+            room.serverMessage(packet.type === 'chat' ?
+              `[replay] <${nick}> ${packet.message}` :
+              `[replay] * ${nick} ${packet.message}`);
+          }
+          break;
+        }
+        let bot = this.participants.has(packet.id) ?
+          this.participants.get(packet.id) : this.host;
+        if (bot) bot.send(packet);
+        break;
+      }
+    }
+  }
+  /**
+   * Connect a virtual participant and put it in the room
+   * @param {String} nick Nick of the participant
+   * @return {Promise} Promise resolving to the TPTMPClient
+   */
+  async _spawn(nick) {
+    let {socket, client} = this.server.connectVirtual();
+    if (!client) throw new Error('The server refused the connection');
+    // replays may run faster than the rate limits allow
+    client.rateLimiter = new RateLimiter({});
+    // chat-only before it joins, so participants are never asked for syncs
+    // or made ops
+    client.isChat = true;
+    client.virtualUser = true;
+    let bot = new TPTMPClient({
+      nick: nick.slice(0, this.server.opts.maxNickLength),
+      socket
+    });
+    await bot.connect();
+    client.changeRoom(this.opts.room);
+    return bot;
+  }
+}
+
+module.exports = {
+  kinds,
+  Recorder,
+  Replayer,
+  read
+};
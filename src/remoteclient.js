@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+
+/**
+ * Represents a client connected to a linked server
+ * It only has an id, and is only in server.clients, while it is in a room
+ * that exists on this server. Packets the room broadcasts are not written to
+ * it, the link forwards the room's traffic once instead.
+ */
+class RemoteClient extends EventEmitter {
+  /**
+   * Creates a new RemoteClient
+   * @param {TPTMPServer} server The server the client is shown on
+   * @param {Link} link The link the client is reached through
+   * @param {Object} info The client, as sent over the link
+   */
+  constructor(server, link, info) {
+    super();
+    this.server = server;
+    this.remote = link;
+    this.uid = info.uid;
+    this.origin = info.uid.slice(info.uid.indexOf('@') + 1);
+    // nick on its own server, nick is changed locally to resolve collisions
+    this.realNick = info.nick;
+    this.nick = info.nick;
+    this.roomName = info.room;
+    this.id = null;
+    this.room = null;
+    this.connected = true;
+    this.ip = null;
+    this.version = [];
+    this.isChat = !!info.chat;
+    // links carry packets of the current protocol
+    this.dialect = null;
+    this.authenticated = !!info.authenticated;
+    this.lastActive = Date.now();
+    this.brush = info.brush || 0;
+    this.brushSize = info.brushSize || {w: 4, h: 4};
+    this.brushSelection = info.brushSelection || [1, 0, 0, 0];
+    this.replaceMode = info.replaceMode || 0;
+    this.deco = info.deco || {a: 0, r: 0, g: 0, b: 0};
+  }
+  /**
+   * Put the client in its room, which must exist on this server
+   * @return {Boolean} Whether the client got an id, there may be none left
+   */
+  attach() {
+    for (let i = 0; i < this.server.opts.maxClients; i++) {
+      if (!this.server.clients.has(i)) {
+        this.id = i;
+        break;
+      }
+    }
+    if (this.id === null) return false;
+    this.nick = this.realNick;
+    for (let n = 1; this.server.findClient(this.nick, true); n++) {
+      let suffix = `-${this.origin}${n > 1 ? n : ''}`.replace(/[^\w-]/g, '');
+      this.nick = this.realNick.slice(0,
+        this.server.opts.maxNickLength - suffix.length) + suffix;
+    }
+    this.server.clients.set(this.id, this);
+    this.room = this.server.join(this, this.roomName);
+    return true;
+  }
+  /**
+   * Take the client out of its room
+   * @param {Boolean} [quiet=false] Whether to skip telling the room, for
+   *   when the room is being deleted
+   */
+  detach(quiet = false) {
+    if (!this.room) return;
+    if (quiet) this.room.clients.delete(this);
+    else this.server.part(this, this.room);
+    this.server.clients.delete(this.id);
+    this.room = null;
+    this.id = null;
+  }
+  /**
+   * Remote clients are moved by their own server, this exists for
+   * compatibility
+   */
+  changeRoom() {}
+  /**
+   * Ask the server of the client to kick it
+   * @param {Client|String} source The client or name that issued the kick
+   * @param {String} [reason=No reason given] Reason for the disconnection
+   */
+  kick(source, reason = 'No reason given') {
+    let by = typeof source === 'string' ? source : source.nick;
+    this.remote.send({t: 'kick', uid: this.uid, by, reason});
+  }
+  /**
+   * Ask the server of the client to disconnect it
+   * @param {String} [reason=Lost connection] Reason for disconnection
+   */
+  disconnect(reason = 'Lost connection') {
+    this.kick(this.server.opts.name, reason);
+  }
+  /**
+   * Send a server message to the client through its server
+   * @param {String} message The message to send
+   * @param {Number} [r=127] Red RGB value of message
+   * @param {Number} [g=255] Green RGB value of message
+   * @param {Number} [b=255] Blue RGB value of message
+   */
+  serverMessage(message, r = 127, g = 255, b = 255) {
+    this.remote.send({t: 'message', uid: this.uid, message, r, g, b});
+  }
+  /**
+   * Ignore lists are kept by the server of the client, which filters what it
+   * is sent
+   * @return {Boolean}
+   */
+  ignores() {
+    return false;
+  }
+  /**
+   * Room broadcasts are forwarded by the link, this exists for compatibility
+   */
+  write() {}
+  /**
+   * Room broadcasts are forwarded by the link, this exists for compatibility
+   */
+  writePacket() {}
+  /**
+   * Forward the packets addressed to this client alone that its server needs,
+   * which are sync requests, syncs, simulation properties and server messages
+   * @param {Object} packet The clientbound packet to send
+   */
+  send(packet) {
+    let room = this.room && this.room.name;
+    let def = protocol.clientbound.byType.get(packet.type);
+    if (packet.type === 'syncRequest') {
+      let to = this.server.clients.get(packet.id);
+      if (!to) return;
+      this.remote.send({t: 'syncRequest', room, from: this.uid, to: to.uid});
+    } else if (packet.type === 'sync') {
+      let pending = this.room && this.room.syncs.get(this.id);
+      let from = pending && this.server.clients.get(pending.from);
+      if (!from) return;
+      this.remote.send({
+        t: 'sync',
+        room,
+        from: from.uid,
+        to: this.uid,
+        data: packet.data.toString('base64')
+      });
+    } else if (packet.type === 'serverMessage') {
+      let {message, r, g, b} = packet;
+      this.serverMessage(message, r, g, b);
+    } else if (def && this.server.opts.syncProperties.includes(def.opcode)) {
+      let from = this.server.clients.get(packet.id);
+      if (!from) return;
+      this.remote.send({
+        t: 'syncProperty',
+        room,
+        from: from.uid,
+        to: this.uid,
+        opcode: def.opcode,
+        value: packet.value
+      });
+    }
+  }
+  /**
+   * Broadcasts from remote clients come in through the link
+   * @param {Object} packet The clientbound packet to send
+   * @param {Boolean} [includeSelf=false] Whether to send the packet to self
+   */
+  sendToRoom(packet, includeSelf = false) {
+    if (this.room) this.room.send(packet, includeSelf ? {} : this);
+  }
+}
+
+module.exports = RemoteClient;
@@ -1,4 +1,8 @@
 const EventEmitter = require('events');
+const protocol = require('./protocol');
+const SyncCache = require('./synccache');
+const {Queue, after} = require('./middleware');
+const {Vote, describeAction} = require('./vote');
 
 /** Represents a room */
 class Room extends EventEmitter {
@@ -9,33 +13,465 @@ class Room extends EventEmitter {
    */
   constructor(server, name) {
     super();
+    this.server = server;
     this.name = name;
     this.clients = new Set();
-    this.op = null;
+    // ids of the ops, and lowercased nick of the client that created the room
+    this.ops = new Set();
+    this.founder = null;
+    this.modes = {
+      password: null,
+      inviteOnly: false,
+      locked: false,
+      moderated: false,
+      limit: 0,
+      // whether clients joining become spectators
+      spectate: false,
+      // who may send destructive packets, see vote.POLICIES
+      destructive: 'anyone'
+    };
+    // ids of the clients that only watch, what they draw is dropped
+    this.spectators = new Set();
+    // lowercased nicks
+    this.invites = new Set();
+    this.voiced = new Set();
+    this.cache = new SyncCache(this, server.opts.syncBacklogSize);
+    // sync requests waiting for a reply, by id of the client that needs the
+    // sync: {from, replied, timer} where from is the id of the member asked
+    this.syncs = new Map();
+    // packets wait here for middleware to finish with the ones before them
+    this.queue = new Queue(err => server.emit('sendError', err, this));
+    // the running vote or approval, rooms have one at a time
+    this.vote = null;
   }
   /**
-   * Send data to all clients in a room, optionally excluding a client
-   * @param {Buffer} buf Data to send
+   * Whether the room is the lobby clients start in
+   * @return {Boolean}
+   */
+  isLobby() {
+    return this.name === this.server.opts.lobby;
+  }
+  /**
+   * Whether a client is the op of the room
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  isOp(client) {
+    return this.ops.has(client.id);
+  }
+  /**
+   * Whether a client is the founder of the room
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  isFounder(client) {
+    return this.founder !== null &&
+      this.founder === client.nick.toLowerCase() &&
+      this.server.ownsNick(client);
+  }
+  /**
+   * Make a client an op of the room
+   * @param {Client} client The client
+   * @param {Client} [by] The client that gave op
+   * @return {Boolean} Whether the client was not an op before
+   */
+  addOp(client, by = null) {
+    if (this.isOp(client)) return false;
+    this.ops.add(client.id);
+    this.emit('op', client, by);
+    this.serverMessage(by ? `${by.nick} gave op to ${client.nick}` :
+      `${client.nick} is now an op`);
+    return true;
+  }
+  /**
+   * Take op from a client
+   * @param {Client} client The client
+   * @param {Client} [by] The client that took op
+   * @return {Boolean} Whether the client was an op before
+   */
+  removeOp(client, by = null) {
+    if (!this.isOp(client)) return false;
+    this.ops.delete(client.id);
+    this.emit('deop', client, by);
+    if (by === client) {
+      this.serverMessage(`${client.nick} is no longer an op`);
+    } else if (by) {
+      this.serverMessage(`${by.nick} took op from ${client.nick}`);
+    }
+    return true;
+  }
+  /**
+   * Hand op from one client to another
+   * @param {Client} from The current op
+   * @param {Client} to The new op
+   */
+  transferOp(from, to) {
+    this.ops.delete(from.id);
+    this.ops.add(to.id);
+    this.emit('deop', from, from);
+    this.emit('op', to, from);
+    this.serverMessage(`${from.nick} handed op to ${to.nick}`);
+  }
+  /**
+   * Whether a client is voiced, ops are always voiced
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  isVoiced(client) {
+    return this.isOp(client) ||
+      (this.voiced.has(client.nick.toLowerCase()) &&
+      this.server.ownsNick(client));
+  }
+  /**
+   * Whether a client may chat and draw, which only voiced clients and server
+   * admins may do in moderated rooms
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  canSpeak(client) {
+    return !this.modes.moderated || this.isVoiced(client) ||
+      this.server.isAdmin(client);
+  }
+  /**
+   * Whether a client is a spectator
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  isSpectator(client) {
+    return this.spectators.has(client.id);
+  }
+  /**
+   * Make a client a spectator, or let it draw again
+   * @param {Client} client The client
+   * @param {Boolean} spectating Whether the client is to spectate
+   * @param {Client} [by] The client that changed it
+   * @return {Boolean} Whether the client was not in that role before
+   */
+  setSpectator(client, spectating, by = null) {
+    if (this.isSpectator(client) === spectating) return false;
+    if (spectating) {
+      this.spectators.add(client.id);
+      client.serverMessage(`You are spectating ${this.name}, what you draw ` +
+        'is not shown to others');
+    } else {
+      this.spectators.delete(client.id);
+      // the brush of the client changed unseen while it spectated
+      for (let packet of this.stateOf(client)) this.send(packet, client);
+      client.serverMessage(`You can draw in ${this.name} again`);
+    }
+    this.emit('spectator', client, spectating, by);
+    return true;
+  }
+  /**
+   * Ops of this server in the room that did something recently
+   * @return {Client[]}
+   */
+  activeOps() {
+    let since = Date.now() - this.server.opts.activeOpTime;
+    return [...this.clients].filter(c => !c.remote && c.connected &&
+      this.isOp(c) && c.lastActive >= since);
+  }
+  /**
+   * Put a question to the room, see Vote
+   * @param {Object} opts Options, see Vote
+   * @return {Vote} The vote, or null if one is already running
+   */
+  callVote(opts) {
+    if (this.vote) return null;
+    let vote = new Vote(this, Object.assign({}, opts, {
+      timeout: this.server.opts.voteTimeout,
+      onEnd: passed => {
+        this.vote = null;
+        this.emit('voteEnd', vote, passed);
+        opts.onEnd(passed);
+      }
+    }));
+    this.vote = vote;
+    this.emit('vote', vote);
+    // decided already when the one who asked is the only one who may vote
+    vote.check();
+    return vote;
+  }
+  /**
+   * Apply the destructive policy of the room to a packet
+   * Packets that are refused or wait for approval are not sent. The sender
+   * already applied it, so it is synced back to the room unless it passes.
+   * Without an active op, approvals are put to a vote.
+   * @param {Client} client The sender
+   * @param {Object} packet The destructive packet, with the id of the sender
+   * @return {Boolean} Whether it may be sent to the room now
+   */
+  checkAction(client, packet) {
+    let policy = this.modes.destructive;
+    if (policy === 'anyone' || this.isOp(client) ||
+      this.server.isAdmin(client)) {
+      return true;
+    }
+    let question = describeAction(packet);
+    let refuse = message => {
+      client.serverMessage(message, 255, 50, 50);
+      this.requestSync(client);
+      return false;
+    };
+    if (policy === 'ops') {
+      return refuse(`Only ops can ${question} in ${this.name}`);
+    }
+    let kind = policy === 'approval' && this.activeOps().length ?
+      'approval' : 'vote';
+    let vote = this.callVote({
+      by: client,
+      kind,
+      question,
+      onEnd: passed => {
+        if (!this.clients.has(client)) return;
+        if (passed) this.send(packet, client);
+        else this.requestSync(client);
+      }
+    });
+    if (!vote) return refuse('A vote is already running, try again later');
+    if (vote.ended) return false;
+    let seconds = Math.ceil(this.server.opts.voteTimeout / 1000);
+    let prefix = this.server.opts.commandPrefix;
+    if (kind === 'approval') {
+      client.serverMessage(`Waiting for an op to let you ${question}`);
+      let prompt = `${client.nick} wants to ${question}, ${prefix}approve ` +
+        `or ${prefix}deny within ${seconds} seconds`;
+      for (let op of this.activeOps()) op.serverMessage(prompt, 255, 200, 50);
+    } else {
+      this.serverMessage(`${client.nick} wants to ${question}, ` +
+        `${prefix}vote yes or ${prefix}vote no within ${seconds} seconds`,
+        255, 200, 50);
+    }
+    return false;
+  }
+  /**
+   * Check whether the modes of the room allow a client to join
+   * Invited clients may join locked, invite only and password protected
+   * rooms, but not full ones.
+   * @param {Client} client The client
+   * @param {String} [password] Password given by the client
+   * @return {String} Why the client may not join, or null if it may
+   */
+  checkJoin(client, password) {
+    let {limit, locked, inviteOnly} = this.modes;
+    if (limit && this.clients.size >= limit) {
+      return `${this.name} is full (${this.clients.size}/${limit})`;
+    }
+    if (this.invites.has(client.nick.toLowerCase()) &&
+      this.server.ownsNick(client)) {
+      return null;
+    }
+    if (locked) return `${this.name} is locked`;
+    if (inviteOnly) return `${this.name} is invite only`;
+    if (this.modes.password && password !== this.modes.password) {
+      if (password) return `Wrong password for ${this.name}`;
+      return `${this.name} needs a password, join ${this.name}:<password>`;
+    }
+    return null;
+  }
+  /**
+   * Set a mode of the room
+   * @param {String} mode One of password, inviteOnly, locked, moderated,
+   *   limit and spectate
+   * @param {*} value New value of the mode
+   */
+  setMode(mode, value) {
+    if (!(mode in this.modes)) throw new Error(`Unknown mode: ${mode}`);
+    this.modes[mode] = value;
+    this.emit('mode', mode, value);
+  }
+  /**
+   * Send a packet to all clients in a room, optionally excluding a client
+   * Chat is not sent to clients ignoring its sender.
+   * @param {Object} packet The clientbound packet to send
    * @param {Client} [except] Client to exclude
    */
-  send(buf, except = {}) {
+  send(packet, except = {}) {
+    this.queue.push(() => after(this.server.middleware.run('send', {
+      room: this,
+      packet,
+      except
+    }), ctx => {
+      if (!ctx.rejected) this._send(ctx.packet, except);
+    }));
+  }
+  /**
+   * Send a packet that went through middleware
+   * @param {Object} packet The clientbound packet to send
+   * @param {Client} except Client to exclude
+   */
+  _send(packet, except) {
+    let buf = protocol.encode('clientbound', packet);
+    this.cache.record(packet, buf);
+    this.emit('send', packet, buf);
+    let from = packet.type === 'chat' || packet.type === 'emote' ?
+      this.server.clients.get(packet.id) : null;
+    let recipients = 0;
+    // encoded once for each dialect in the room, null where it is not sent
+    let bufs = new Map([[null, buf]]);
     for (let client of this.clients) {
-      if (client.id === except.id) continue;
-      client.socket.write(buf);
+      if (client.id === except.id || !client.connected) continue;
+      if (from && client.ignores(from)) continue;
+      if (!bufs.has(client.dialect)) {
+        bufs.set(client.dialect, client.dialect.encode(packet, buf));
+      }
+      let out = bufs.get(client.dialect);
+      if (!out) continue;
+      client.write(out, packet);
+      if (!client.remote) recipients++;
     }
+    if (this.server.metrics) {
+      this.server.metrics.sent(packet, buf.length, recipients);
+    }
+  }
+  /**
+   * Send a server message to all clients in the room
+   * @param {String} message The message to send
+   * @param {Number} [r=127] Red RGB value of message
+   * @param {Number} [g=255] Green RGB value of message
+   * @param {Number} [b=255] Blue RGB value of message
+   */
+  serverMessage(message, r = 127, g = 255, b = 255) {
+    this.send({type: 'serverMessage', message, r, g, b});
   }
   /**
    * Request a sync for a client
+   * The cache is used when no member can send a sync, when the server prefers
+   * it, or when the member asked does not reply in time or leaves.
    * @param {Client} client Client requesting sync
    */
   requestSync(client) {
-    if (this.clients.size === 0) return; // do nothing
-    for (let m of this.clients) {
-      if (m.isChat) continue;
-      if (client.id === m.id) continue;
-      m.socket.write(Buffer.from([128, client.id]));
+    // members on this server reply faster than those on linked ones
+    let members = [...this.clients]
+      .filter(m => m.connected && !m.isChat && m.id !== client.id);
+    let m = members.find(m => !m.remote) || members[0];
+    if (this.cache.usable() && (this.server.opts.preferSyncCache || !m)) {
+      this.cache.serve(client);
+      return;
+    }
+    if (!m) {
+      if (this.cache.usable(false)) this.cache.serve(client);
       return;
     }
+    this.askSync(m, client);
+  }
+  /**
+   * Ask a member to send its simulation to a client
+   * The client is served from the cache if the member does not reply in time.
+   * @param {Client} m The member to ask
+   * @param {Client} client Client requesting sync
+   */
+  askSync(m, client) {
+    this._cancelSync(client.id);
+    let pending = {from: m.id, replied: false, timer: null, time: Date.now()};
+    pending.timer = setTimeout(() => {
+      this.syncs.delete(client.id);
+      this.emit('syncTimeout', client, m);
+      if (this.clients.has(client) && this.cache.usable(false)) {
+        this.cache.serve(client);
+      }
+    }, this.server.opts.syncTimeout);
+    this.syncs.set(client.id, pending);
+    m.send({type: 'syncRequest', id: client.id});
+  }
+  /**
+   * Handle a sync sent by a member, only replies to the requests of the room
+   * are accepted
+   * @param {Client} from The member that sent it
+   * @param {Client} to The client it is for
+   * @param {Buffer} data Sync payload
+   * @return {Boolean} Whether it was accepted
+   */
+  sync(from, to, data) {
+    let pending = this.syncs.get(to.id);
+    if (!pending || pending.from !== from.id || pending.replied) return false;
+    // the properties follow the sync, accept them for a while longer
+    pending.replied = true;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => this.syncs.delete(to.id),
+      this.server.opts.syncTimeout);
+    this.cache.update(data);
+    to.send({type: 'sync', data});
+    this.emit('sync', data, from, to);
+    return true;
+  }
+  /**
+   * Replace the simulation of the members on this server with a snapshot,
+   * sent as a sync rather than as actions of a member
+   * Members on linked servers are not sent it.
+   * @param {Buffer} data Sync payload
+   */
+  load(data) {
+    this.cache.update(data);
+    for (let m of this.clients) {
+      if (!m.remote && m.connected) m.send({type: 'sync', data});
+    }
+    this.emit('load', data);
+  }
+  /**
+   * Handle a simulation property sent by a member after a sync
+   * @param {Client} from The member that sent it
+   * @param {Client} to The client it is for
+   * @param {Number} opcode Opcode of the property
+   * @param {Number} value Value of the property
+   * @return {Boolean} Whether it was accepted
+   */
+  syncProperty(from, to, opcode, value) {
+    let pending = this.syncs.get(to.id);
+    if (!pending || pending.from !== from.id || !pending.replied) return false;
+    // the opcode is that of the member's version, linked members send those
+    // of the current protocol
+    let tables = from.dialect ? from.dialect.tables : protocol.base;
+    let def = tables.clientbound.byOpcode.get(opcode);
+    // properties the current protocol does not have are not passed on
+    let current = def && protocol.clientbound.byType.get(def.type);
+    if (!current) return false;
+    let property = {type: def.type, id: from.id, value};
+    this.cache.property(current.opcode, value);
+    to.send(property);
+    this.emit('syncProperty', property, to);
+    return true;
+  }
+  /**
+   * Forget the pending sync request for a client
+   * @param {Number} id Id of the client
+   */
+  _cancelSync(id) {
+    let pending = this.syncs.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.syncs.delete(id);
+  }
+  /**
+   * Get the packets that tell a client the drawing state of a member
+   * @param {Client} m The member
+   * @return {Object[]} Clientbound packets
+   */
+  stateOf(m) {
+    let packets = [];
+    for (let i = 0; i < m.brush; i++) {
+      packets.push({type: 'brushShape', id: m.id});
+    }
+    packets.push(Object.assign({type: 'brushSize', id: m.id}, m.brushSize));
+    m.brushSelection.forEach((element, button) => {
+      packets.push({type: 'selectElement', id: m.id, button, element});
+    });
+    packets.push({type: 'replaceMode', id: m.id, mode: m.replaceMode});
+    packets.push(Object.assign({type: 'decoColor', id: m.id}, m.deco));
+    return packets;
+  }
+  /**
+   * Tell a client who is in the room and how they draw
+   * @param {Client} client The client
+   */
+  _welcome(client) {
+    client.send({
+      type: 'roomUsers',
+      users: [...this.clients].map(m => ({id: m.id, nick: m.nick}))
+    });
+    for (let m of this.clients) {
+      for (let packet of this.stateOf(m)) client.send(packet);
+    }
   }
   /**
    * Join a client to the room
@@ -44,30 +480,24 @@ class Room extends EventEmitter {
    */
   join(client) {
     if (this.clients.has(client)) return;
-    if (this.clients.size === 0) this.op = client.id;
+    // clients of linked servers get op from their own server, chat-only
+    // clients such as bots never do
+    let first = ![...this.clients].some(m => !m.remote && !m.isChat);
     this.emit('join', client);
-
-    client.socket.write(Buffer.from([16, this.clients.size]));
-    for (let m of this.clients) {
-      client.socket.write(Buffer.from([m.id, ...Buffer.from(m.nick), 0]));
+    this._welcome(client);
+    this.send({type: 'userJoin', id: client.id, nick: client.nick}, client);
+    if (!client.remote) this.requestSync(client);
+    this.clients.add(client);
+    // the lobby has no ops
+    if (this.isLobby() || client.remote || client.isChat) return;
+    if (first && this.server.opts.founders && this.server.ownsNick(client)) {
+      this.founder = client.nick.toLowerCase();
     }
-    for (let m of this.clients) {
-      for (let i = 0; i < m.brush; i++) {
-        client.socket.write(Buffer.from([35, m.id]));
-      }
-      client.socket.write(Buffer.from([34, m.id, ...m.brushSize]));
-      for (let i = 0; i < 4; i++) {
-        client.socket.write(Buffer.from([37, m.id, ...m.brushSelection[i]]));
-      }
-      client.socket.write(Buffer.from([
-        38, m.id, ...Buffer.from(m.replaceMode)
-      ]));
-      client.socket.write(Buffer.from([65, m.id, ...m.deco]));
+    if (first || this.isFounder(client)) this.addOp(client);
+    if (this.modes.spectate && !this.isVoiced(client) &&
+      !this.server.isAdmin(client)) {
+      this.setSpectator(client, true);
     }
-    this.send(Buffer.from([17, client.id, ...Buffer.from(client.nick), 0]),
-      client);
-    this.requestSync(client);
-    this.clients.add(client);
   }
   /**
    * Part a client from the room
@@ -77,8 +507,64 @@ class Room extends EventEmitter {
   part(client) {
     this.emit('part', client);
     this.clients.delete(client);
-    if (this.op === client.id) this.op = this.clients.values().next().value;
-    this.send(Buffer.from([18, client.id]), client);
+    this.cache.part(client);
+    this._gone(client, `${client.nick} left`);
+    this.send({type: 'userPart', id: client.id}, client);
+    this.spectators.delete(client.id);
+    if (this.ops.delete(client.id)) {
+      this.emit('deop', client, null);
+      let next = [...this.clients].find(m => !m.remote && !m.isChat &&
+        m.connected);
+      if (this.ops.size === 0 && next) this.addOp(next);
+    }
+  }
+  /**
+   * Stop counting on a member whose connection dropped
+   * It stays in the room until it resumes or is disconnected, see
+   * Client.prototype.drop.
+   * @param {Client} client The member
+   */
+  drop(client) {
+    this.emit('drop', client);
+    this._gone(client, `${client.nick} lost connection`);
+  }
+  /**
+   * Put a client that reconnected in the place of its dropped connection
+   * Members are not told about a new user, only that it reconnected.
+   * @param {Client} old The dropped client
+   * @param {Client} client The client taking its place, with its id
+   */
+  resume(old, client) {
+    this.clients.delete(old);
+    this._welcome(client);
+    this.requestSync(client);
+    this.clients.add(client);
+    this.emit('resume', client, old);
+    this.serverMessage(`${client.nick} reconnected`);
+  }
+  /**
+   * Let go of what waits on a member that is leaving or dropped
+   * Clients waiting for a sync from it are served from the cache, and the
+   * vote it asked for or is about ends.
+   * @param {Client} client The member
+   * @param {String} why Why, shown when a vote ends
+   */
+  _gone(client, why) {
+    this._cancelSync(client.id);
+    for (let [id, pending] of this.syncs) {
+      if (pending.from !== client.id || pending.replied) continue;
+      // the member asked left before replying
+      this._cancelSync(id);
+      let waiting = this.server.clients.get(id);
+      if (this.clients.has(waiting) && this.cache.usable(false)) {
+        this.cache.serve(waiting);
+      }
+    }
+    if (this.vote && (this.vote.by === client || this.vote.target === client)) {
+      this.vote.end(false, why);
+    } else if (this.vote) {
+      this.vote.check();
+    }
   }
 }
 
@@ -1,10 +1,78 @@
 const net = require('net');
+const os = require('os');
 const EventEmitter = require('events');
 const Client = require('./client');
 const Room = require('./room');
+const protocol = require('./protocol');
+const {CommandRegistry} = require('./commands');
+const basicCommands = require('./commands/basic');
+const moderationCommands = require('./commands/moderation');
+const roomCommands = require('./commands/room');
+const accountCommands = require('./commands/account');
+const {BanList, describe} = require('./bans');
+const Accounts = require('./accounts');
+const ratelimit = require('./ratelimit');
+const AdminServer = require('./admin');
+const virtual = require('./virtual');
+const {LinkManager} = require('./link');
+const logger = require('./logger');
+const {ServerMetrics, MetricsServer} = require('./metrics');
+const {WebSocketServer} = require('./websocket');
+const config = require('./config');
+const policy = require('./policy');
+const {Dialect} = require('./dialect');
+const {Middleware, after} = require('./middleware');
 
 let noOp = () => true;
 
+/**
+ * Fill in the defaults of server options
+ * @param {Object} opts Options, see TPTMPServer
+ * @return {Object}
+ */
+function resolveOptions(opts) {
+  opts = Object.assign({
+    host: null,
+    port: 34403,
+    commandPrefix: '/',
+    motd: null,
+    admins: [],
+    banFile: null,
+    founders: true,
+    rateLimits: {},
+    floodMuteDuration: 5 * 60 * 1000,
+    maxPayloadSize: 4 * 1024 * 1024,
+    syncTimeout: 5000,
+    preferSyncCache: false,
+    syncBacklogSize: 4 * 1024 * 1024,
+    maxQueuedBytes: 8 * 1024 * 1024,
+    lagTimeout: 10 * 1000,
+    coalesce: ['mouseMove'],
+    voteTimeout: 30 * 1000,
+    activeOpTime: 5 * 60 * 1000,
+    resumeTimeout: 60 * 1000,
+    admin: null,
+    accounts: null,
+    name: os.hostname(),
+    link: null,
+    logger: null,
+    metrics: null,
+    websocket: null,
+    config: null,
+    hooks: {}
+  }, policy.defaults, opts);
+  policy.resolve(opts);
+  if (opts.accounts) {
+    opts.accounts = Object.assign({
+      file: null,
+      grace: 60 * 1000,
+      action: 'rename',
+      minLength: 6
+    }, opts.accounts);
+  }
+  return opts;
+}
+
 /** Class representing the tptmp server */
 class TPTMPServer extends EventEmitter {
   /**
@@ -12,21 +80,166 @@ class TPTMPServer extends EventEmitter {
    * @param {Object} opts Options for the server
    * @param {String} [opts.host] Host for the server to listen on
    * @param {Number} [opts.port=34403] Port for the server to listen on
+   * @param {String} [opts.commandPrefix=/] Prefix of chat commands, a falsy
+   *   value disables commands
+   * @param {String} [opts.motd] Message of the day, shown on connect
+   * @param {String[]} [opts.admins=[]] Nicks of server admins
+   * @param {String} [opts.banFile] JSON file to keep bans and mutes in, they
+   *   are not persisted if this is not set
+   * @param {Boolean} [opts.founders=true] Whether the client that creates a
+   *   room gets op back whenever it rejoins while the room exists
+   * @param {Object} [opts.rateLimits] Per client rate limits by class, merged
+   *   with the defaults in ratelimit.js, e.g. `{chat: {rate: 2}}`
+   * @param {Number} [opts.floodMuteDuration=300000] How long clients are
+   *   muted for by the 'mute' rate limit action, in ms
+   * @param {Number} [opts.maxPayloadSize=4194304] Largest stamp or sync
+   *   accepted from a client, in bytes
+   * @param {Number} [opts.syncTimeout=5000] How long a member has to reply to
+   *   a sync request before the joiner is served from the room's cache, in ms
+   * @param {Boolean} [opts.preferSyncCache=false] Whether to serve joiners
+   *   from the room's cache whenever it is complete instead of asking a member
+   * @param {Number} [opts.syncBacklogSize=4194304] Bytes of drawing kept per
+   *   room since its last sync, a room that draws more is not served from its
+   *   cache until the next sync
+   * @param {Number} [opts.maxQueuedBytes=8388608] Bytes that may wait to be
+   *   sent to a client with a slow connection. Clients over it for
+   *   lagTimeout, or over twice it, are disconnected.
+   * @param {Number} [opts.lagTimeout=10000] How long clients may stay over
+   *   maxQueuedBytes, in ms
+   * @param {String[]} [opts.coalesce=['mouseMove']] Types of the packets of
+   *   which only the latest of each sender waits to be sent to a client with
+   *   a slow connection
+   * @param {Number} [opts.voteTimeout=30000] How long votes and approvals
+   *   run, in ms
+   * @param {Number} [opts.activeOpTime=300000] How recently an op must have
+   *   done something to be asked for approvals and to prevent vote kicks,
+   *   in ms
+   * @param {Number} [opts.resumeTimeout=60000] How long clients that lost
+   *   their connection keep their place in their room for a client with the
+   *   same nick, in ms. 0 disconnects them right away.
+   * @param {Object} [opts.admin] Options for the admin API, see AdminServer,
+   *   it is only started if this is set
+   * @param {Object} [opts.accounts] Options for nick registration, it is only
+   *   enabled if this is set
+   * @param {String} [opts.accounts.file] JSON file to keep accounts in, they
+   *   are not persisted if this is not set
+   * @param {Number} [opts.accounts.grace=60000] How long clients using a
+   *   registered nick have to identify, in ms
+   * @param {String} [opts.accounts.action=rename] What happens to clients
+   *   that do not identify in time, 'rename' or 'disconnect'
+   * @param {Number} [opts.accounts.minLength=6] Shortest password allowed
+   * @param {String} [opts.name] Name of the server among linked servers,
+   *   defaults to the hostname
+   * @param {Object} [opts.link] Options for linking to other servers, see
+   *   LinkManager, the server is only linked if this is set
+   * @param {Object|Boolean} [opts.logger] Logger to log to, anything with a
+   *   `log(level, event, fields)` method, true logs JSON lines to stdout
+   * @param {Object|Boolean} [opts.metrics] Options for the metrics endpoint,
+   *   see MetricsServer, true serves them on the default port. Metrics are
+   *   only kept if this is set
+   * @param {Object|Boolean} [opts.websocket] Options for accepting clients
+   *   over WebSocket, see WebSocketServer, true uses the defaults. They are
+   *   only accepted if this is set
+   * @param {Number} [opts.maxClients=255] Most clients connected at once
+   * @param {Object} [opts.version] Client versions accepted, merged with
+   *   constants.version, e.g. `{MAJOR_MIN: 92}`
+   * @param {Number[]} [opts.syncProperties=constants.VALID_130] Opcodes of
+   *   the simulation properties members may send after a sync
+   * @param {Object[]} [opts.versions] Client version ranges accepted at once,
+   *   each with the packets they speak, see Dialect. The fields a range
+   *   leaves out come from opts.version and opts.syncProperties. Defaults to
+   *   the one range of opts.version.
+   * @param {RegExp|String} [opts.nickPattern=/^[\w-_]+$/] Pattern nicks must
+   *   match
+   * @param {Number} [opts.maxNickLength=32] Longest nick allowed
+   * @param {Function} [opts.validateNick] Called with (nick, client) during
+   *   the handshake, returns false or a rejection message to refuse the nick
+   * @param {RegExp|String} [opts.roomPattern=/^[\w-_]+$/] Pattern room names
+   *   must match
+   * @param {Number} [opts.maxRoomLength=32] Longest room name allowed
+   * @param {Function} [opts.validateRoom] Called with (name, client) when a
+   *   client joins a room, returns false or a message to refuse the room
+   * @param {Number} [opts.maxMessageLength=200] Longest chat message or kick
+   *   reason allowed
+   * @param {Number} [opts.maxStringLength=1024] Longest text field accepted
+   *   in a packet, in bytes, clients sending longer ones are disconnected.
+   *   At least the longest nick, room name and message.
+   * @param {Number} [opts.timeout=90000] How long clients may stay silent
+   *   before they are disconnected, in ms, 0 never disconnects them. They
+   *   ping every minute.
+   * @param {Number} [opts.handshakeTimeout=10000] How long clients have to
+   *   complete the handshake, in ms, 0 for no limit
+   * @param {String} [opts.lobby=null] Name of the room clients start in,
+   *   which has no ops
+   * @param {Object} [opts.rejectMessages] Messages sent to refused clients,
+   *   strings or functions of the details, see policy.rejectMessages
+   * @param {Object} [opts.hooks] Functions to set in server.hooks, which
+   *   run as handlers of the middleware: connect(client) during the
+   *   handshake, join(client, room) and message(client, message), which
+   *   also gets command lines other than secret commands. Each returns false
+   *   to refuse.
+   * @param {String} [opts.config] Config file, a JSON file or a module
+   *   exporting options. Its options take precedence over the others, and
+   *   it is read again on SIGHUP once the server listens, see reload
    */
-  constructor(opts) {
+  constructor(opts = {}) {
     super();
-    this.opts = Object.assign({
-      host: null,
-      port: 34403,
-    }, opts);
+    // options given to the constructor, the config file is applied on top
+    this._baseOpts = opts;
+    this.opts = resolveOptions(Object.assign({}, opts,
+      opts.config ? config.read(opts.config) : {}));
+    this.rateLimits = ratelimit.resolve(this.opts.rateLimits);
+    this.dialects = this.opts.versions.map(spec => new Dialect(spec));
     this.clients = new Map();
     this.rooms = new Map();
-    this.hooks = {
+    this.hooks = Object.assign({
       connect: noOp,
       join: noOp,
       message: noOp
+    }, this.opts.hooks);
+    this.middleware = new Middleware();
+    // hooks are looked up on every call, so that they can be replaced
+    this.middleware.use('handshake', ctx => this.hooks.connect(ctx.client) ?
+      undefined : false);
+    this.middleware.use('join', ctx => this.hooks.join(ctx.client, ctx.room) ?
+      undefined : false);
+    this.middleware.use('chat', ctx =>
+      this.hooks.message(ctx.client, ctx.message) ? undefined : false);
+    this.closing = false;
+    this._closed = null;
+    this._onSighup = () => {
+      try {
+        this.reload();
+      } catch (err) {
+        this.emit('reloadError', err);
+      }
     };
+    this.commands = new CommandRegistry(this);
+    basicCommands.register(this.commands);
+    moderationCommands.register(this.commands);
+    roomCommands.register(this.commands);
+    this.accounts = null;
+    if (this.opts.accounts) {
+      this.accounts = new Accounts(this.opts.accounts.file);
+      accountCommands.register(this.commands);
+    }
+    this.bans = new BanList(this.opts.banFile);
+    this.bans.on('add', entry => this.enforceBan(entry));
     this.tcpServer = net.createServer(this._connectionHandler.bind(this));
+    this.websocket = this.opts.websocket ? new WebSocketServer(this,
+      this.opts.websocket === true ? {} : this.opts.websocket) : null;
+    this.admin = this.opts.admin ? new AdminServer(this, this.opts.admin) : null;
+    this.links = this.opts.link ? new LinkManager(this, this.opts.link) : null;
+    this.metrics = null;
+    this.metricsServer = null;
+    if (this.opts.metrics) {
+      this.metrics = new ServerMetrics(this);
+      this.metricsServer = new MetricsServer(this.metrics,
+        this.opts.metrics === true ? {} : this.opts.metrics);
+    }
+    this.logger = this.opts.logger === true ? new logger.Logger() :
+      this.opts.logger;
+    if (this.logger) logger.attach(this, this.logger);
   }
   /**
    * Start listening for connectoins
@@ -37,19 +250,348 @@ class TPTMPServer extends EventEmitter {
     port = port || this.opts.port;
     host = host || this.opts.host;
     this.tcpServer.listen(port, host);
+    if (this.websocket) this.websocket.listen();
+    if (this.admin) this.admin.listen();
+    if (this.links) this.links.listen();
+    if (this.metricsServer) this.metricsServer.listen();
+    if (this.opts.config) process.on('SIGHUP', this._onSighup);
+  }
+  /**
+   * Read the config file again and apply the options that can change while
+   * the server runs, see config.RELOADABLE. Clients stay connected.
+   * @return {Object} `{changed, skipped}`, names of the options applied and of
+   *   those that changed but need a restart
+   * @throws {Error} If the file cannot be read or is invalid, nothing is
+   *   applied then
+   */
+  reload() {
+    if (!this.opts.config) throw new Error('No config file to reload');
+    let opts = resolveOptions(Object.assign({}, this._baseOpts,
+      config.read(this.opts.config)));
+    let rateLimits = ratelimit.resolve(opts.rateLimits);
+    let dialects = opts.versions.map(spec => new Dialect(spec));
+    let changed = [];
+    let skipped = [];
+    for (let key of new Set([...Object.keys(opts),
+      ...Object.keys(this.opts)])) {
+      if (!config.differs(opts[key], this.opts[key])) continue;
+      if (config.RELOADABLE.includes(key)) changed.push(key);
+      else skipped.push(key);
+    }
+    let oldHooks = this.opts.hooks;
+    for (let key of changed) this.opts[key] = opts[key];
+    if (changed.includes('rateLimits')) {
+      this.rateLimits = rateLimits;
+      for (let client of this.clients.values()) {
+        if (!client.remote) client.rateLimiter = new ratelimit.RateLimiter(
+          rateLimits);
+      }
+    }
+    // clients keep the dialect they connected with
+    if (changed.includes('versions')) this.dialects = dialects;
+    if (changed.includes('maxPayloadSize')) {
+      for (let client of this.clients.values()) {
+        if (client.remote) continue;
+        client.decoder.limits.maxBlobSize = opts.maxPayloadSize;
+      }
+    }
+    if (changed.includes('maxStringLength')) {
+      for (let client of this.clients.values()) {
+        if (client.remote) continue;
+        client.decoder.limits.maxStringLength = opts.maxStringLength;
+      }
+    }
+    if (changed.includes('timeout')) {
+      for (let client of this.clients.values()) {
+        if (!client.remote) client.socket.setTimeout(opts.timeout);
+      }
+    }
+    if (changed.includes('syncBacklogSize')) {
+      for (let room of this.rooms.values()) {
+        room.cache.maxBacklog = opts.syncBacklogSize;
+      }
+    }
+    if (changed.includes('hooks')) {
+      // hooks the file no longer sets are reset, others set in code are kept
+      for (let name of Object.keys(oldHooks)) {
+        if (!(name in opts.hooks)) this.hooks[name] = noOp;
+      }
+      Object.assign(this.hooks, opts.hooks);
+    }
+    this.emit('reload', changed, skipped);
+    return {changed, skipped};
+  }
+  /**
+   * Shut the server down
+   * It stops accepting connections and tells every client why. Syncs and
+   * partly received packets such as stamps get up to graceMs to finish,
+   * then every client is disconnected and every listener closed.
+   * @param {Object} [opts] Options
+   * @param {String} [opts.reason] Reason shown to clients
+   * @param {Number} [opts.graceMs=5000] Longest wait for transfers, in ms
+   * @return {Promise} Resolves once everything is closed
+   */
+  close({reason = null, graceMs = 5000} = {}) {
+    if (this._closed) return this._closed;
+    this.closing = true;
+    process.removeListener('SIGHUP', this._onSighup);
+    let stopped = Promise.all([
+      new Promise(resolve => this.tcpServer.close(() => resolve())),
+      this.websocket && this.websocket.close()
+    ]);
+    let wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    let local = () => [...this.clients.values()].filter(c => !c.remote);
+    let why = reason ? ` (${reason})` : '';
+    this.emit('closing', reason);
+    for (let client of local()) {
+      client.serverMessage(`The server is shutting down${why}`, 255, 50, 50);
+    }
+    this._closed = (async () => {
+      let deadline = Date.now() + graceMs;
+      while (Date.now() < deadline && this._transferring()) await wait(50);
+      let sockets = local().map(c => c.socket);
+      for (let client of local()) client.disconnect(`Server closing${why}`);
+      await Promise.all([
+        this.admin && this.admin.close(),
+        this.links && this.links.close(),
+        this.metricsServer && this.metricsServer.close()
+      ]);
+      // give clients a moment to close their end
+      await Promise.race([stopped, wait(1000)]);
+      for (let socket of sockets) socket.destroy();
+      await stopped;
+      this.emit('close');
+    })();
+    return this._closed;
+  }
+  /**
+   * Whether a sync is awaited, a client is partway through sending a packet
+   * or middleware is handling one
+   * @return {Boolean}
+   */
+  _transferring() {
+    for (let room of this.rooms.values()) {
+      if ([...room.syncs.values()].some(pending => !pending.replied)) {
+        return true;
+      }
+    }
+    return [...this.clients.values()]
+      .some(c => !c.remote && c.connected &&
+        (c.decoder.buffered > 0 || c.queue.busy));
+  }
+  /**
+   * Register a chat command
+   * See CommandRegistry.prototype.register for details
+   * @param {String} name Name of the command, without prefix
+   * @param {Object} opts Options for the command
+   * @param {Function} handler Called with (client, args, line)
+   */
+  registerCommand(name, opts, handler) {
+    this.commands.register(name, opts, handler);
+  }
+  /**
+   * Remove a chat command
+   * @param {String} name Name of the command
+   * @return {Boolean} Whether the command existed
+   */
+  unregisterCommand(name) {
+    return this.commands.unregister(name);
+  }
+  /**
+   * Register a middleware handler
+   * See Middleware.prototype.use for details
+   * @param {String} stage The stage
+   * @param {Function} handler Called with the context
+   * @param {Object} [opts] Options
+   * @return {Function} Removes the handler
+   */
+  use(stage, handler, opts) {
+    return this.middleware.use(stage, handler, opts);
+  }
+  /**
+   * Whether a client is a server admin, clients of linked servers never are
+   * With nick registration enabled, admins must have identified.
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  isAdmin(client) {
+    return !client.remote && this.opts.admins.includes(client.nick) &&
+      (!this.accounts || client.authenticated);
+  }
+  /**
+   * Whether a client can be trusted with what is granted to its nick, such as
+   * invites, voice and being the founder of a room. It can unless its nick is
+   * registered and it has not identified.
+   * @param {Client} client The client
+   * @return {Boolean}
+   */
+  ownsNick(client) {
+    return !this.accounts || client.authenticated ||
+      !this.accounts.isRegistered(client.nick);
+  }
+  /**
+   * Get the message sent to a client that is refused
+   * @param {String} name Reason of the refusal, see policy.rejectMessages
+   * @param {Object} [details={}] Details given to message functions
+   * @return {String}
+   */
+  rejectMessage(name, details = {}) {
+    let message = this.opts.rejectMessages[name];
+    return typeof message === 'function' ? message(details) : message;
+  }
+  /**
+   * Check whether a room name is allowed
+   * @param {String} name The room name
+   * @param {Client} [client] The client that wants to use it
+   * @return {String} Why it is not allowed, or null if it is
+   */
+  checkRoomName(name, client) {
+    let {roomPattern, maxRoomLength, validateRoom} = this.opts;
+    let refusal = policy.checkName(name, roomPattern, maxRoomLength,
+      validateRoom, client);
+    if (!refusal) return null;
+    return refusal.message || 'Invalid room name';
+  }
+  /**
+   * Find a free nick for a client that lost its own
+   * @param {Client} client The client
+   * @return {String}
+   */
+  guestNick(client) {
+    let nick = `Guest${client.id}`;
+    for (let n = 1; this.findClient(nick, true) ||
+      (this.accounts && this.accounts.isRegistered(nick)); n++) {
+      nick = `Guest${client.id}_${n}`;
+    }
+    return nick;
+  }
+  /**
+   * Send a server message to every client of this server
+   * @param {String} message The message
+   * @param {Number[]} [color] Red, green and blue values of the message
+   */
+  broadcast(message, color = []) {
+    for (let client of this.clients.values()) {
+      if (!client.room || client.remote) continue;
+      client.serverMessage(message, ...color);
+    }
+  }
+  /**
+   * Find an identified client by nick
+   * @param {String} nick Nick of the client
+   * @param {Boolean} [dropped=false] Whether dropped clients, which hold
+   *   their nick until they are resumed, are found too
+   * @return {Client} The client, or undefined if there is none
+   */
+  findClient(nick, dropped = false) {
+    for (let client of this.clients.values()) {
+      if (client.nick === nick && (dropped || !client.dropped)) return client;
+    }
+  }
+  /**
+   * Connect an in-process client to the server
+   * The returned socket can be handed to TPTMPClient as opts.socket.
+   * @return {Object} `{socket, client}`, where socket is the client end of
+   *   the connection and client the Client, undefined if it was refused
+   */
+  connectVirtual() {
+    let [local, remote] = virtual.pair();
+    let client = this._connectionHandler(remote);
+    return {socket: local, client};
   }
   /**
    * Handles incoming connections to the server
-   * @param {Socket} socket Incoming connection
+   * @param {Socket} socket Incoming connection, a net.Socket or a stream
+   *   standing in for one, see Client
+   * @return {Client} The new client, undefined if it was refused
    */
   _connectionHandler(socket) {
-    if (this.clients.size >= 255) {
-      socket.write(`\x00Server is full (${this.clients.size}/255)\x00`);
+    // refused connections are not watched, resets of them must not throw
+    if (this.closing) {
+      socket.on('error', () => {});
       socket.end();
       return;
     }
+    let refuse = (name, details) => {
+      socket.on('error', () => {});
+      let message = this.rejectMessage(name, details);
+      this.emit('refused', socket.remoteAddress, message, name);
+      socket.write(protocol.encode('clientbound', {
+        type: 'handshakeResponse',
+        ok: false,
+        message
+      }));
+      socket.end();
+    };
+    let max = this.opts.maxClients;
+    if (this.clients.size >= max) {
+      refuse('full', {clients: this.clients.size, max});
+      return;
+    }
+    let ban = this.bans.find('ban', {ip: socket.remoteAddress});
+    if (ban) {
+      refuse('banned', {ban: describe(ban), entry: ban});
+      return;
+    }
     let client = new Client(this, socket);
     this.clients.set(client.id, client);
+    this.emit('connection', client);
+    // nothing the client sends is handled before this is done
+    client.queue.push(() => after(this.middleware.run('connect', {
+      client,
+      address: client.ip
+    }), ctx => {
+      if (!ctx.rejected || !client.connected) return;
+      let message = ctx.reason || 'Connection refused';
+      this.emit('refused', client.ip, message, 'middleware');
+      client.reject(message, `Refused (${message})`);
+    }));
+    return client;
+  }
+  /**
+   * Check whether a client may join a room
+   * Called before the client leaves its current room
+   * @param {Client} client The client
+   * @param {String} r The name of the room
+   * @param {String} [password] Password given by the client
+   * @return {String} Why the client may not join, or null if it may
+   */
+  checkJoin(client, r, password) {
+    let ban = this.bans.find('ban', client, r);
+    if (ban && ban.room) return `You are banned from ${r} ${describe(ban)}`;
+    let room = this.rooms.get(r);
+    if (!room || room === client.room || this.isAdmin(client)) return null;
+    return room.checkJoin(client, password);
+  }
+  /**
+   * Apply a new ban or mute to the clients it affects
+   * @param {Object} entry The entry, see BanList
+   */
+  enforceBan(entry) {
+    for (let client of [...this.clients.values()]) {
+      if (client.remote || !client.room) continue;
+      if (!this.bans.matches(entry, client)) continue;
+      if (entry.room && client.room.name !== entry.room) continue;
+      let where = entry.room || 'this server';
+      let reason = `Banned${entry.reason ? ` (${entry.reason})` : ''}`;
+      // there is nobody to tell, and nothing to resume into
+      if (client.dropped) {
+        if (entry.type !== 'mute') client.disconnect(reason);
+        continue;
+      }
+      if (entry.type === 'mute') {
+        client.serverMessage(`You were muted in ${where} ${describe(entry)}`,
+          255, 50, 50);
+      } else if (!entry.room) {
+        client.serverMessage(`You were banned from ${where} ` +
+          describe(entry), 255, 50, 50);
+        client.disconnect(reason);
+      } else {
+        client.serverMessage(`You were banned from ${where} ` +
+          describe(entry), 255, 50, 50);
+        client.changeRoom(this.opts.lobby);
+      }
+    }
   }
   /**
    * Join a client to a room
@@ -72,13 +614,15 @@ class TPTMPServer extends EventEmitter {
   /**
    * Part a client from a room
    * Should not be called directly, call Client.prototype.part instead
+   * Rooms are deleted once no client of this server is left in them.
    * @param {Client} client The client to part
    * @param {Room} room The room the client is to part
    */
   part(client, room) {
     this.emit('part', client, room);
     room.part(client);
-    if (room.clients.size === 0) {
+    if (![...room.clients].some(c => !c.remote)) {
+      for (let c of [...room.clients]) c.detach(true);
       room.emit('delete');
       this.emit('roomDelete', room);
       this.rooms.delete(room.name);
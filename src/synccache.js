@@ -0,0 +1,142 @@
+const protocol = require('./protocol');
+
+/**
+ * The latest simulation of a room as seen by the server
+ *
+ * Holds the last sync payload a member sent, the simulation properties (the
+ * 130 replies, kept current by the settings packets that change them), the
+ * drawing state of every member at the time of the snapshot and every
+ * drawing packet relayed since, so a joiner can be caught up without asking
+ * another client.
+ */
+class SyncCache {
+  /**
+   * Creates a new SyncCache
+   * @param {Room} room The room the cache belongs to
+   * @param {Number} maxBacklog Bytes of packets to keep after a snapshot
+   */
+  constructor(room, maxBacklog) {
+    this.room = room;
+    this.maxBacklog = maxBacklog;
+    this.data = null;
+    this.time = null;
+    this.properties = new Map();
+    this.backlog = [];
+    this.backlogSize = 0;
+    // ids of members whose drawing is in the backlog
+    this.authors = new Set();
+    // whether the backlog overflowed, which makes the snapshot useless
+    this.overflowed = false;
+    // whether a member whose drawing is in the backlog left
+    this.complete = true;
+  }
+  /**
+   * Whether there is a snapshot that can be served
+   * @param {Boolean} [strict=true] Whether to also require that no drawing
+   *   was lost because its author left
+   * @return {Boolean}
+   */
+  usable(strict = true) {
+    return this.data !== null && !this.overflowed &&
+      (this.complete || !strict);
+  }
+  /**
+   * Replace the snapshot
+   * @param {Buffer} data Sync payload
+   */
+  update(data) {
+    this.data = data;
+    this.time = Date.now();
+    this.backlog = [];
+    this.backlogSize = 0;
+    this.authors.clear();
+    this.overflowed = false;
+    this.complete = true;
+    // drawing state at the time of the snapshot, mouse drawing after it
+    // depends on it
+    for (let m of this.room.clients) {
+      for (let packet of this.room.stateOf(m)) this._push(packet, null);
+    }
+  }
+  /**
+   * Record a simulation property
+   * @param {Number} opcode Opcode of the property
+   * @param {Number} value Value of the property
+   */
+  property(opcode, value) {
+    this.properties.set(opcode, value);
+  }
+  /**
+   * Record a packet relayed to the room
+   * @param {Object} packet Clientbound packet
+   * @param {Buffer} buf The encoded packet
+   */
+  record(packet, buf) {
+    let def = protocol.clientbound.byType.get(packet.type);
+    if (!def.relayed || this.data === null) return;
+    if (this.room.server.opts.syncProperties.includes(def.opcode)) {
+      this.property(def.opcode, packet.value);
+      return;
+    }
+    this._push(packet, buf);
+    this.authors.add(packet.id);
+  }
+  /**
+   * Note that a member left the room
+   * @param {Client} client The member
+   */
+  part(client) {
+    if (this.authors.has(client.id)) this.complete = false;
+  }
+  /**
+   * Get the packets that catch a client up from the snapshot: properties,
+   * then the drawing state and drawing of members since the snapshot. Drawing
+   * by members that left is skipped, their ids would mean nothing.
+   * @param {Client} [client] Client to catch up, its own drawing is skipped
+   * @return {Array[]} Pairs of clientbound packet and encoded packet
+   */
+  entries(client = null) {
+    let members = [...this.room.clients].filter(m => m !== client);
+    let entries = [];
+    // properties need the id of someone in the room
+    if (members.length) {
+      for (let [opcode, value] of this.properties) {
+        let type = protocol.clientbound.byOpcode.get(opcode).type;
+        let packet = {type, id: members[0].id, value};
+        entries.push([packet, protocol.encode('clientbound', packet)]);
+      }
+    }
+    let present = new Set(members.map(m => m.id));
+    return entries.concat(this.backlog.filter(([packet]) =>
+      present.has(packet.id)));
+  }
+  /**
+   * Send the snapshot and the packets since to a client
+   * @param {Client} client The client to catch up
+   */
+  serve(client) {
+    client.send({type: 'sync', data: this.data});
+    for (let [packet, buf] of this.entries(client)) {
+      client.writePacket(packet, buf);
+    }
+    this.room.emit('syncServed', client);
+  }
+  /**
+   * Add a packet to the backlog
+   * @param {Object} packet Clientbound packet
+   * @param {Buffer} [buf] The encoded packet
+   */
+  _push(packet, buf) {
+    if (this.overflowed) return;
+    buf = buf || protocol.encode('clientbound', packet);
+    this.backlogSize += buf.length;
+    if (this.backlogSize > this.maxBacklog) {
+      this.overflowed = true;
+      this.backlog = [];
+      return;
+    }
+    this.backlog.push([packet, buf]);
+  }
+}
+
+module.exports = SyncCache;
@@ -0,0 +1,225 @@
+const net = require('net');
+const EventEmitter = require('events');
+const constants = require('./constants');
+const protocol = require('./protocol');
+
+/** A tptmp client, for bots and tests */
+class TPTMPClient extends EventEmitter {
+  /**
+   * Creates a new TPTMPClient
+   * @param {Object} opts Options for the client
+   * @param {String} opts.nick Nick to identify with
+   * @param {String} [opts.host=localhost] Host of the server
+   * @param {Number} [opts.port=34403] Port of the server
+   * @param {Number[]} [opts.version] Major, minor and script version to
+   *   report, defaults to the newest version the server accepts
+   * @param {Number} [opts.pingInterval=60000] Milliseconds between pings
+   * @param {Duplex} [opts.socket] Connected socket to use instead of
+   *   connecting to host and port, e.g. from TPTMPServer.connectVirtual
+   */
+  constructor(opts) {
+    super();
+    this.opts = Object.assign({
+      host: 'localhost',
+      port: 34403,
+      version: [
+        constants.version.MAJOR_MAX,
+        constants.version.MINOR_MAX,
+        constants.version.SCRIPT
+      ],
+      pingInterval: 60 * 1000
+    }, opts);
+    this.nick = this.opts.nick;
+    this.socket = null;
+    this.connected = false;
+    this.room = null;
+    this.users = new Map();
+    // room asked for, until the server puts the client in a room
+    this._joining = null;
+    this._pingTimer = null;
+  }
+  /**
+   * Connect to the server and identify
+   * @return {Promise} Promise resolving once the server accepted the client,
+   *   rejecting if it refused it or the connection ended before
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      let decoder = new protocol.Decoder('clientbound');
+      let handshake = () => {
+        let [major, minor, script] = this.opts.version;
+        this.socket.write(protocol.encode('serverbound', {
+          type: 'handshake', major, minor, script, nick: this.nick
+        }));
+      };
+      if (this.opts.socket) {
+        this.socket = this.opts.socket;
+      } else {
+        this.socket = net.connect(this.opts.port, this.opts.host)
+        .on('connect', handshake);
+      }
+      this.socket.on('data', data => {
+        for (let packet of decoder.push(data)) {
+          if (packet.type !== 'handshakeResponse') {
+            this.packetHandler(packet);
+          } else if (packet.ok) {
+            this.connected = true;
+            this.room = 'null'; // the server puts new clients in the lobby
+            this._pingTimer = setInterval(() => this.send({type: 'ping'}),
+              this.opts.pingInterval);
+            this.emit('connect');
+            resolve();
+          } else {
+            reject(new Error(packet.message));
+          }
+        }
+      })
+      .on('error', err => {
+        reject(err);
+        this._closed(err.message);
+      })
+      .on('close', () => {
+        reject(new Error('Connection closed'));
+        this._closed('Connection closed');
+      });
+      if (this.opts.socket) handshake();
+    });
+  }
+  /**
+   * Handles a packet received after the handshake
+   * @param {Object} packet The decoded packet
+   */
+  packetHandler(packet) {
+    this.emit('packet', packet);
+    let user = this.users.get(packet.id);
+    switch (packet.type) {
+      case 'roomUsers': {
+        // the server confirms joins with the users of the room
+        if (this._joining !== null) this.room = this._joining;
+        this._joining = null;
+        this.users = new Map(packet.users.map(u => [u.id, u]));
+        this.emit('room', this.room, packet.users);
+        break;
+      }
+      case 'userJoin': {
+        user = {id: packet.id, nick: packet.nick};
+        this.users.set(user.id, user);
+        this.emit('join', user);
+        break;
+      }
+      case 'userPart': {
+        this.users.delete(packet.id);
+        if (user) this.emit('part', user);
+        break;
+      }
+      case 'chat':
+      case 'emote': {
+        this.emit(packet.type, user, packet.message);
+        break;
+      }
+      case 'serverMessage': {
+        let {message, r, g, b} = packet;
+        this.emit('serverMessage', message, {r, g, b});
+        break;
+      }
+      case 'syncRequest': {
+        this.emit('syncRequest', packet.id, user);
+        break;
+      }
+      case 'sync': {
+        this.emit('sync', packet.data);
+        break;
+      }
+      default: {
+        // drawing and settings packets, emitted under their own type
+        this.emit(packet.type, packet, user);
+      }
+    }
+  }
+  /**
+   * Send a serverbound packet
+   * @param {Object} packet The packet to send
+   */
+  send(packet) {
+    if (!this.connected) return;
+    this.socket.write(protocol.encode('serverbound', packet));
+  }
+  /**
+   * Join a room
+   * Its room and users change once the server put it in the room, not at all
+   * if the server refuses.
+   * @param {String} room Name of the room
+   * @param {String} [password] Password of the room
+   */
+  join(room, password) {
+    this._joining = room;
+    this.send({type: 'join', room: password ? `${room}:${password}` : room});
+  }
+  /**
+   * Send a chat message to the current room
+   * @param {String} message The message to send
+   */
+  say(message) {
+    this.send({type: 'chat', message});
+  }
+  /**
+   * Send an emote to the current room
+   * @param {String} message The message to send
+   */
+  emote(message) {
+    this.send({type: 'emote', message});
+  }
+  /**
+   * Kick a user from the current room
+   * @param {String} nick Nick of the user to kick
+   * @param {String} [reason=''] Reason for the kick
+   */
+  kick(nick, reason = '') {
+    this.send({type: 'kick', nick, reason});
+  }
+  /**
+   * Place a stamp
+   * @param {Number} x X position of the stamp
+   * @param {Number} y Y position of the stamp
+   * @param {Buffer} data Stamp data
+   */
+  sendStamp(x, y, data) {
+    this.send({type: 'stamp', x, y, data});
+  }
+  /**
+   * Reply to a sync request with the simulation
+   * @param {Number} id Id of the client that requested the sync
+   * @param {Buffer} data Simulation data
+   */
+  replySync(id, data) {
+    this.send({type: 'syncReply', id, data});
+  }
+  /**
+   * Reply to a sync request with a simulation property
+   * @param {Number} id Id of the client that requested the sync
+   * @param {Number} opcode Opcode of the property, see constants.VALID_130
+   * @param {Number} value Value of the property
+   */
+  replyProperty(id, opcode, value) {
+    this.send({type: 'syncProperty', id, opcode, value});
+  }
+  /**
+   * Disconnect from the server
+   */
+  close() {
+    if (this.socket) this.socket.end();
+  }
+  /**
+   * Cleans up after the connection is gone
+   * @param {String} reason Reason for disconnection
+   */
+  _closed(reason) {
+    let wasConnected = this.connected;
+    this.connected = false;
+    clearInterval(this._pingTimer);
+    this._pingTimer = null;
+    if (wasConnected) this.emit('disconnect', reason);
+  }
+}
+
+module.exports = TPTMPClient;
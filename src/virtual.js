@@ -0,0 +1,49 @@
+const {Duplex} = require('stream');
+
+/**
+ * One end of an in-process connection, standing in for a net.Socket so that
+ * Client and TPTMPClient can run without a network
+ */
+class VirtualSocket extends Duplex {
+  constructor() {
+    super({allowHalfOpen: false, autoDestroy: true});
+    this.peer = null;
+    this.remoteAddress = null;
+  }
+  // data arrives on a later tick, as it does over a network, so that a peer
+  // replying right away does not run ahead of its own caller
+  _write(chunk, encoding, callback) {
+    process.nextTick(() => this.peer.push(chunk));
+    callback();
+  }
+  _final(callback) {
+    process.nextTick(() => this.peer.push(null));
+    callback();
+  }
+  _read() {}
+  _destroy(err, callback) {
+    if (!this.peer.destroyed) this.peer.destroy();
+    callback(err);
+  }
+  /**
+   * Virtual connections never time out, this exists for compatibility
+   * @return {VirtualSocket}
+   */
+  setTimeout() {
+    return this;
+  }
+}
+
+/**
+ * Create a pair of connected virtual sockets
+ * @return {VirtualSocket[]}
+ */
+function pair() {
+  let a = new VirtualSocket();
+  let b = new VirtualSocket();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+module.exports = {VirtualSocket, pair};
@@ -0,0 +1,140 @@
+/** Packets that undo the work of everyone in a room */
+const DESTRUCTIVE = ['clearSim', 'loadSave', 'reloadSave', 'clearArea',
+  'invertPressure'];
+
+/**
+ * Who may send destructive packets in a room
+ * anyone: everyone, as in the original server
+ * approval: an op approves each one
+ * vote: most members approve each one
+ * ops: only ops
+ */
+const POLICIES = ['anyone', 'approval', 'vote', 'ops'];
+
+/**
+ * Describe a destructive packet for chat
+ * @param {Object} packet The packet
+ * @return {String} e.g. 'clear the simulation'
+ */
+function describeAction(packet) {
+  switch (packet.type) {
+    case 'clearSim': return 'clear the simulation';
+    case 'loadSave': return `load save ${packet.saveId}`;
+    case 'reloadSave': return 'reload the save';
+    case 'clearArea': return 'clear an area';
+    case 'invertPressure': return 'invert the pressure';
+    default: return packet.type;
+  }
+}
+
+/**
+ * A question put to a room, decided by an op or by its members
+ * Ops decide approvals. Votes pass once more than half of the members who
+ * may vote said yes, and fail once half said no or time runs out. Members
+ * who may vote are those of this server that are connected and not
+ * spectators or chat clients. The one who asked votes yes.
+ */
+class Vote {
+  /**
+   * Creates a new Vote, see Room.prototype.callVote
+   * @param {Room} room The room
+   * @param {Object} opts Options
+   * @param {Client} opts.by The client that asked
+   * @param {String} opts.kind 'approval' or 'vote'
+   * @param {String} opts.question What is asked, e.g. 'clear the simulation'
+   * @param {Client} [opts.target] Client the vote is about, who does not
+   *   vote and whose leaving ends the vote
+   * @param {Function} opts.onEnd Called with whether it passed
+   * @param {Number} opts.timeout How long it runs, in ms
+   * @param {Number} [opts.minVoters=0] For votes, how many members other than
+   *   the one who asked must be able to vote, it fails with fewer
+   */
+  constructor(room, opts) {
+    this.room = room;
+    this.by = opts.by;
+    this.kind = opts.kind;
+    this.question = opts.question;
+    this.target = opts.target || null;
+    this.onEnd = opts.onEnd;
+    this.minVoters = opts.minVoters || 0;
+    // answers by client id
+    this.votes = new Map();
+    this.ended = false;
+    this.timer = setTimeout(() => this.end(false, 'time ran out'),
+      opts.timeout);
+    if (this.kind === 'vote') this.votes.set(this.by.id, true);
+  }
+  /**
+   * Members who may vote
+   * @return {Client[]}
+   */
+  voters() {
+    return [...this.room.clients].filter(c => !c.remote && c.connected &&
+      !c.isChat && !this.room.isSpectator(c) && c !== this.target);
+  }
+  /**
+   * Count the votes of members still present
+   * @return {Object} `{yes, no, voters}`
+   */
+  tally() {
+    let voters = this.voters();
+    let yes = voters.filter(c => this.votes.get(c.id) === true).length;
+    let no = voters.filter(c => this.votes.get(c.id) === false).length;
+    return {yes, no, voters: voters.length};
+  }
+  /**
+   * Answer the question
+   * @param {Client} client The client answering
+   * @param {Boolean} yes The answer
+   * @return {String} Why the answer is not accepted, or null
+   */
+  cast(client, yes) {
+    if (this.kind === 'approval') {
+      if (!this.room.isOp(client) && !this.room.server.isAdmin(client)) {
+        return 'Only a room op can approve this';
+      }
+      this.end(yes, `${client.nick} ${yes ? 'approved' : 'denied'} it`);
+      return null;
+    }
+    if (!this.voters().includes(client)) return 'You can\'t vote on this';
+    if (this.votes.has(client.id)) return 'You already voted';
+    this.votes.set(client.id, yes);
+    this.check();
+    return null;
+  }
+  /**
+   * End the vote if it is decided, called when votes or members change
+   */
+  check() {
+    if (this.ended || this.kind !== 'vote') return;
+    let others = this.voters().filter(c => c !== this.by).length;
+    if (others < this.minVoters) {
+      this.end(false, 'not enough players can vote');
+      return;
+    }
+    let {yes, no, voters} = this.tally();
+    if (yes > voters / 2) this.end(true, `${yes} of ${voters} voted yes`);
+    else if (no >= voters / 2) this.end(false, `${no} of ${voters} voted no`);
+  }
+  /**
+   * End the vote
+   * @param {Boolean} passed Whether it passed
+   * @param {String} why How it ended, shown to the room
+   */
+  end(passed, why) {
+    if (this.ended) return;
+    this.ended = true;
+    clearTimeout(this.timer);
+    let color = passed ? [127, 255, 127] : [255, 200, 50];
+    this.room.serverMessage(`${this.by.nick} asked to ${this.question}: ` +
+      `${passed ? 'passed' : 'failed'}, ${why}`, ...color);
+    this.onEnd(passed);
+  }
+}
+
+module.exports = {
+  DESTRUCTIVE,
+  POLICIES,
+  describeAction,
+  Vote
+};
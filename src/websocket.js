@@ -0,0 +1,317 @@
+const http = require('http');
+const crypto = require('crypto');
+const {Duplex} = require('stream');
+
+// from RFC 6455
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Frame opcodes */
+const opcodes = {
+  CONTINUATION: 0,
+  TEXT: 1,
+  BINARY: 2,
+  CLOSE: 8,
+  PING: 9,
+  PONG: 10
+};
+
+/**
+ * Encode a frame, frames sent by servers are not masked
+ * @param {Number} opcode Opcode of the frame
+ * @param {Buffer} payload The payload
+ * @return {Buffer}
+ */
+function frame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+    header.writeUInt32BE(payload.length >>> 0, 6);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * A WebSocket connection, standing in for a net.Socket so that Client can
+ * run over it. Binary messages carry the same stream as a TCP connection,
+ * in as many messages as the browser likes.
+ */
+class WebSocketStream extends Duplex {
+  /**
+   * Creates a new WebSocketStream
+   * @param {Socket} socket The upgraded socket
+   * @param {Object} opts Options
+   * @param {String} opts.remoteAddress Address of the client
+   * @param {Number} opts.maxMessageSize Largest message accepted, in bytes
+   */
+  constructor(socket, opts) {
+    super({allowHalfOpen: false, autoDestroy: true});
+    this.socket = socket;
+    this.remoteAddress = opts.remoteAddress;
+    this.maxMessageSize = opts.maxMessageSize;
+    this._data = Buffer.alloc(0);
+    // payloads of a message sent in several frames
+    this._fragments = null;
+    this._fragmentsSize = 0;
+    this._closeSent = false;
+    socket.on('data', data => this._receive(data))
+    .on('timeout', () => this.emit('timeout'))
+    .on('error', err => this.destroy(err))
+    .on('close', () => this.push(null));
+  }
+  _write(chunk, encoding, callback) {
+    // wait for the socket to drain, so that writableLength shows the backlog
+    if (this._closeSent || this.socket.write(frame(opcodes.BINARY, chunk))) {
+      callback();
+    } else {
+      this.socket.once('drain', () => callback());
+    }
+  }
+  _final(callback) {
+    this._close(1000);
+    callback();
+  }
+  _read() {}
+  _destroy(err, callback) {
+    this.socket.destroy();
+    callback(err);
+  }
+  /**
+   * Time out like a net.Socket
+   * @param {Number} ms Idle time before 'timeout' is emitted, 0 disables it
+   * @return {WebSocketStream}
+   */
+  setTimeout(ms) {
+    this.socket.setTimeout(ms);
+    return this;
+  }
+  /**
+   * Send a close frame and end the connection
+   * @param {Number} code Status code
+   * @param {String} [reason=''] Reason for closing
+   */
+  _close(code, reason = '') {
+    if (this._closeSent) return;
+    this._closeSent = true;
+    let payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(frame(opcodes.CLOSE, payload));
+  }
+  /**
+   * Close the connection because the client broke the protocol
+   * @param {Number} code Status code
+   * @param {String} reason What the client did wrong
+   */
+  _fail(code, reason) {
+    this._close(code, reason);
+    this.destroy(new Error(`WebSocket error: ${reason}`));
+  }
+  /**
+   * Handle data received from the socket
+   * @param {Buffer} data The data
+   */
+  _receive(data) {
+    this._data = this._data.length ? Buffer.concat([this._data, data]) : data;
+    // anything after a close frame is ignored
+    while (this._data.length >= 2 && !this._closeSent && !this.destroyed) {
+      let fin = (this._data[0] & 0x80) !== 0;
+      let opcode = this._data[0] & 0x0f;
+      let length = this._data[1] & 0x7f;
+      let offset = 2;
+      if (this._data[0] & 0x70) {
+        this._fail(1002, 'Reserved bits set');
+        return;
+      } else if (!(this._data[1] & 0x80)) {
+        this._fail(1002, 'Frames from clients must be masked');
+        return;
+      }
+      if (length === 126) {
+        if (this._data.length < 4) return;
+        length = this._data.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._data.length < 10) return;
+        if (this._data.readUInt32BE(2) !== 0) {
+          this._fail(1009, 'Message too big');
+          return;
+        }
+        length = this._data.readUInt32BE(6);
+        offset = 10;
+      }
+      if (opcode >= opcodes.CLOSE && (length > 125 || !fin)) {
+        this._fail(1002, 'Invalid control frame');
+        return;
+      } else if (length + this._fragmentsSize > this.maxMessageSize) {
+        this._fail(1009, 'Message too big');
+        return;
+      }
+      if (this._data.length < offset + 4 + length) return;
+      let mask = this._data.slice(offset, offset + 4);
+      let payload = Buffer.from(this._data.slice(offset + 4,
+        offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this._data = this._data.slice(offset + 4 + length);
+      this._frame(fin, opcode, payload);
+    }
+  }
+  /**
+   * Handle a frame
+   * @param {Boolean} fin Whether it is the last frame of its message
+   * @param {Number} opcode Opcode of the frame
+   * @param {Buffer} payload The unmasked payload
+   */
+  _frame(fin, opcode, payload) {
+    switch (opcode) {
+      case opcodes.BINARY:
+      case opcodes.CONTINUATION: {
+        if ((opcode === opcodes.BINARY) === (this._fragments !== null)) {
+          this._fail(1002, 'Unexpected continuation frame');
+          break;
+        }
+        if (fin && !this._fragments) {
+          this.push(payload);
+          break;
+        }
+        this._fragments = this._fragments || [];
+        this._fragments.push(payload);
+        this._fragmentsSize += payload.length;
+        if (!fin) break;
+        this.push(Buffer.concat(this._fragments));
+        this._fragments = null;
+        this._fragmentsSize = 0;
+        break;
+      }
+      case opcodes.TEXT: {
+        this._fail(1003, 'Only binary messages are accepted');
+        break;
+      }
+      case opcodes.CLOSE: {
+        this._close(1000);
+        this.push(null);
+        break;
+      }
+      case opcodes.PING: {
+        if (!this._closeSent) {
+          this.socket.write(frame(opcodes.PONG, payload));
+        }
+        break;
+      }
+      case opcodes.PONG: {
+        break;
+      }
+      default: {
+        this._fail(1002, `Unknown opcode ${opcode}`);
+      }
+    }
+  }
+}
+
+/** Accepts clients over WebSocket, for browsers */
+class WebSocketServer {
+  /**
+   * Creates a new WebSocketServer
+   * @param {TPTMPServer} server The server clients are connected to
+   * @param {Object} [opts] Options
+   * @param {String} [opts.host] Host to listen on
+   * @param {Number} [opts.port=34405] Port to listen on
+   * @param {String} [opts.path=/] Path WebSocket requests are accepted on
+   * @param {String[]} [opts.origins] Origins of the pages allowed to
+   *   connect, any page may connect if this is not set
+   * @param {Boolean} [opts.trustProxy=false] Whether to take the address of
+   *   clients from the X-Forwarded-For header, for servers behind a proxy
+   */
+  constructor(server, opts) {
+    this.server = server;
+    this.opts = Object.assign({
+      host: null,
+      port: 34405,
+      path: '/',
+      origins: null,
+      trustProxy: false
+    }, opts);
+    this.httpServer = http.createServer((req, res) => {
+      res.writeHead(426, {
+        'Content-Type': 'text/plain',
+        'Upgrade': 'websocket'
+      });
+      res.end('This is a TPTMP WebSocket endpoint\n');
+    });
+    this.httpServer.on('upgrade', (req, socket, head) =>
+      this.upgrade(req, socket, head));
+  }
+  /**
+   * Start listening
+   */
+  listen() {
+    this.httpServer.listen(this.opts.port, this.opts.host);
+  }
+  /**
+   * Stop listening, resolves once every connection is closed
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+  /**
+   * Complete the handshake of a WebSocket request and connect the client
+   * @param {IncomingMessage} req The request
+   * @param {Socket} socket Its socket
+   * @param {Buffer} [head] What the client sent after the request, frames
+   *   it did not wait for the handshake to send
+   */
+  upgrade(req, socket, head) {
+    let refuse = (status, message) => {
+      // the client may be gone already, which is no concern of the server
+      socket.on('error', () => {});
+      socket.end(`HTTP/1.1 ${status} ${message}\r\n` +
+        'Connection: close\r\n\r\n');
+    };
+    let key = req.headers['sec-websocket-key'];
+    if (req.method !== 'GET' || req.url.split('?')[0] !== this.opts.path) {
+      refuse(404, 'Not Found');
+      return;
+    } else if (!key || req.headers['sec-websocket-version'] !== '13' ||
+      String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      refuse(400, 'Bad Request');
+      return;
+    } else if (this.opts.origins &&
+      !this.opts.origins.includes(req.headers.origin)) {
+      refuse(403, 'Forbidden');
+      return;
+    }
+    let accept = crypto.createHash('sha1').update(key + GUID)
+      .digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    let remoteAddress = socket.remoteAddress;
+    let forwarded = req.headers['x-forwarded-for'];
+    if (this.opts.trustProxy && forwarded) {
+      remoteAddress = forwarded.split(',')[0].trim();
+    }
+    let stream = new WebSocketStream(socket, {
+      remoteAddress,
+      // room for a stamp or sync and the packet around it
+      maxMessageSize: this.server.opts.maxPayloadSize + 1024
+    });
+    if (head && head.length) stream._receive(head);
+    this.server._connectionHandler(stream);
+  }
+}
+
+module.exports = {
+  WebSocketStream,
+  WebSocketServer,
+  frame
+};
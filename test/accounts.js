@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TPTMPServer = require('..');
+const {until, wait, connect, join, message} = require('./helpers');
+
+/**
+ * Make a temporary directory, removed after the test
+ * @param {Object} t The test context
+ * @return {String} Path of the directory
+ */
+function tmpdir(t) {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tptmp-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+test('registered nicks are kept and need their password', async t => {
+  let file = path.join(tmpdir(t), 'accounts.json');
+  let server = new TPTMPServer({accounts: {file}});
+  let alice = await connect(server, 'alice');
+  alice.say('/register short');
+  await message(alice, /^Passwords need at least 6 characters$/);
+  alice.say('/register hunter22');
+  await message(alice, /^alice is now registered to you$/);
+  assert.ok(server.findClient('alice').authenticated);
+  await server.accounts.save();
+  await server.close({graceMs: 0});
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('hunter22'));
+
+  server = new TPTMPServer({accounts: {file}});
+  alice = await connect(server, 'alice');
+  await message(alice, /^alice is registered, use \/identify <password>/);
+  assert.ok(!server.findClient('alice').authenticated);
+  alice.say('/identify wrong one');
+  await message(alice, /^wrong is not registered$/);
+  alice.say('/identify wrongpass');
+  await message(alice, /^Wrong password$/);
+  alice.say('/identify hunter22');
+  await message(alice, /^You are now identified as alice$/);
+  assert.ok(server.findClient('alice').authenticated);
+  await server.close({graceMs: 0});
+});
+
+test('users that do not identify in time are renamed or disconnected',
+  async () => {
+    let server = new TPTMPServer({accounts: {grace: 50}});
+    await server.accounts.register('alice', 'hunter22');
+    let alice = await connect(server, 'alice');
+    let id = server.findClient('alice').id;
+    await message(alice, new RegExp(`^You did not identify in time, you are ` +
+      `now Guest${id}$`));
+    assert.strictEqual(server.clients.get(id).nick, `Guest${id}`);
+    server.opts.accounts.action = 'disconnect';
+    let other = await connect(server, 'alice');
+    await new Promise(resolve => other.once('disconnect', resolve));
+    assert.ok(other.messages.includes('You did not identify in time'));
+    assert.ok(!server.findClient('alice'));
+    assert.ok(server.clients.has(id));
+    await server.close({graceMs: 0});
+  });
+
+test('owners take their nick back from whoever uses it', async () => {
+  let server = new TPTMPServer({accounts: {}});
+  await server.accounts.register('alice', 'hunter22');
+  let squatter = await connect(server, 'alice');
+  let squatterId = server.findClient('alice').id;
+  let owner = await connect(server, 'owner');
+  owner.say('/identify alice hunter22');
+  await message(owner, /^You are now identified as alice$/);
+  await message(squatter, new RegExp(`^alice was identified by its owner, ` +
+    `you are now Guest${squatterId}$`));
+  assert.strictEqual(server.clients.get(squatterId).nick, `Guest${squatterId}`);
+  let alice = server.findClient('alice');
+  assert.ok(alice.authenticated && alice.id !== squatterId);
+  // identified users keep their nick
+  squatter.say('/identify alice hunter22');
+  await message(squatter, /^alice is in use$/);
+  await server.close({graceMs: 0});
+});
+
+test('registered nicks resume only once identified', async () => {
+  let server = new TPTMPServer({accounts: {}});
+  await server.accounts.register('bob', 'hunter22');
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  bob.say('/identify hunter22');
+  await message(bob, /^You are now identified as bob$/);
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let held = server.findClient('bob');
+  bob.socket.destroy();
+  await until(() => held.dropped);
+  let again = await connect(server, 'bob');
+  await wait(50);
+  let waiting = [...server.clients.values()].find(c => c.nick === 'bob' &&
+    !c.dropped);
+  assert.ok(waiting.room.isLobby());
+  assert.ok(held.dropped);
+  again.say('/identify hunter22');
+  await until(() => server.findClient('bob') &&
+    server.findClient('bob').room.name === 'room');
+  assert.strictEqual(server.findClient('bob').id, held.id);
+  await server.close({graceMs: 0});
+});
+
+test('admins must identify to be admins', async () => {
+  let server = new TPTMPServer({admins: ['alice'], accounts: {}});
+  await server.accounts.register('alice', 'hunter22');
+  let alice = await connect(server, 'alice');
+  alice.say('/gban bob');
+  await message(alice, /^\/gban can only be used by a server admin$/);
+  assert.deepStrictEqual(server.bans.list(), []);
+  alice.say('/identify hunter22');
+  await message(alice, /^You are now identified as alice$/);
+  alice.say('/gban bob');
+  await message(alice, /^bob is now banned server-wide/);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const TPTMPServer = require('..');
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Start a server with the admin API on a free port
+ * @param {Object} [opts] Server options
+ * @return {Promise} Resolves to the server once the API listens
+ */
+async function adminServer(opts = {}) {
+  let server = new TPTMPServer(Object.assign({
+    admin: {token: 'secret', port: 0}
+  }, opts));
+  server.admin.listen();
+  await new Promise(resolve => server.admin.httpServer.once('listening',
+    resolve));
+  return server;
+}
+
+/**
+ * Send a request to the admin API of a server
+ * @param {TPTMPServer} server The server
+ * @param {String} method Method of the request
+ * @param {String} path Path of the request
+ * @param {Object|String} [body] Body of the request, sent as JSON unless it
+ *   is a string
+ * @param {String} [token=secret] Token sent with the request
+ * @return {Promise} Resolves to `{status, body}`
+ */
+function request(server, method, path, body, token = 'secret') {
+  return new Promise((resolve, reject) => {
+    let req = http.request({
+      host: '127.0.0.1',
+      port: server.admin.httpServer.address().port,
+      method,
+      path,
+      headers: {authorization: `Bearer ${token}`}
+    }, res => {
+      let chunks = [];
+      res.on('data', chunk => chunks.push(chunk)).on('end', () => resolve({
+        status: res.statusCode,
+        body: JSON.parse(Buffer.concat(chunks).toString())
+      }));
+    }).on('error', reject);
+    req.end(body === undefined || typeof body === 'string' ? body :
+      JSON.stringify(body));
+  });
+}
+
+test('deleting a room disconnects its dropped clients', async () => {
+  let server = await adminServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let held = server.findClient('bob');
+  bob.socket.destroy();
+  await until(() => held.dropped);
+  let res = await request(server, 'DELETE', '/rooms/room');
+  assert.strictEqual(res.status, 200);
+  await message(alice, /^room was closed by an admin$/);
+  assert.strictEqual(server.findClient('alice').room.name, server.opts.lobby);
+  assert.ok(!held.connected && !held.dropped);
+  assert.ok(!server.clients.has(held.id));
+  assert.ok(!server.rooms.has('room'));
+  await server.close({graceMs: 0});
+});
+
+test('invalid bans are refused before they are reported', async () => {
+  let server = await adminServer();
+  let actions = [];
+  server.admin.on('action', (action, target) => actions.push(target));
+  for (let body of [
+    {type: 'kick', nick: 'bob'},
+    {nick: 'bob', mask: '10.0.0.1'},
+    {},
+    {nick: ['bob']},
+    {nick: 'bob', room: 5},
+    {mask: 'not an address'},
+    {nick: 'bob', duration: -1},
+    {nick: 'bob', duration: 'forever'}
+  ]) {
+    let res = await request(server, 'POST', '/bans', body);
+    assert.strictEqual(res.status, 400, JSON.stringify(body));
+  }
+  for (let body of ['null', '[]', '1']) {
+    let res = await request(server, 'POST', '/clients/1/kick', body);
+    assert.strictEqual(res.status, 400);
+  }
+  assert.deepStrictEqual(server.bans.list(), []);
+  assert.deepStrictEqual(actions, []);
+  let res = await request(server, 'POST', '/bans',
+    {type: 'mute', nick: 'bob', duration: 60000});
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.type, 'mute');
+  assert.strictEqual(res.body.by, 'admin API');
+  assert.deepStrictEqual(actions, ['bob']);
+  await server.close({graceMs: 0});
+});
+
+test('requests need the token and a known route', async () => {
+  let server = await adminServer();
+  let res = await request(server, 'GET', '/clients', undefined, 'wrong');
+  assert.deepStrictEqual(res, {status: 401, body: {error: 'Unauthorized'}});
+  assert.strictEqual((await request(server, 'GET', '/nothing')).status, 404);
+  assert.strictEqual((await request(server, 'PUT', '/clients')).status, 405);
+  res = await request(server, 'POST', '/broadcast', '{');
+  assert.deepStrictEqual(res, {status: 400, body: {error: 'Invalid JSON'}});
+  await server.close({graceMs: 0});
+});
+
+test('clients and rooms are listed, kicked and moved', async () => {
+  let server = await adminServer();
+  let actions = [];
+  server.admin.on('action', (action, target) => actions.push([action, target]));
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let {body: clients} = await request(server, 'GET', '/clients');
+  assert.deepStrictEqual(clients.map(c => [c.nick, c.room, c.dropped]),
+    [['alice', 'room', false], ['bob', 'room', false]]);
+  let {body: room} = await request(server, 'GET', '/rooms/room');
+  assert.deepStrictEqual(room.clients.map(c => c.nick), ['alice', 'bob']);
+  assert.deepStrictEqual(room.ops, ['alice']);
+  assert.strictEqual((await request(server, 'GET', '/rooms/none')).status, 404);
+  let bobId = clients[1].id;
+  let res = await request(server, 'POST', `/clients/${bobId}/move`,
+    {room: 'other'});
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.room, 'other');
+  await message(bob, /^An admin moved you to other$/);
+  res = await request(server, 'POST', `/clients/${bobId}/move`, {room: 5});
+  assert.strictEqual(res.status, 400);
+  res = await request(server, 'POST', `/clients/${clients[0].id}/kick`,
+    {reason: 'testing'});
+  assert.strictEqual(res.status, 200);
+  await message(alice, /^You were kicked by an admin \(testing\)$/);
+  await until(() => !server.findClient('alice'));
+  res = await request(server, 'POST', `/clients/${clients[0].id}/kick`);
+  assert.strictEqual(res.status, 404);
+  assert.deepStrictEqual(actions, [['move', 'bob'], ['kick', 'alice']]);
+  await server.close({graceMs: 0});
+});
+
+test('dropped clients are shown but not moved', async () => {
+  let server = await adminServer();
+  let bob = await connect(server, 'bob');
+  await join(server, bob, 'room');
+  let held = server.findClient('bob');
+  bob.socket.destroy();
+  await until(() => held.dropped);
+  let {body: clients} = await request(server, 'GET', '/clients');
+  assert.deepStrictEqual(clients.map(c => [c.nick, c.dropped]),
+    [['bob', true]]);
+  let res = await request(server, 'POST', `/clients/${held.id}/move`,
+    {room: 'other'});
+  assert.deepStrictEqual(res,
+    {status: 409, body: {error: 'Client is not connected'}});
+  await server.close({graceMs: 0});
+});
+
+test('broadcasts reach every room', async () => {
+  let server = await adminServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  let res = await request(server, 'POST', '/broadcast', {message: ''});
+  assert.strictEqual(res.status, 400);
+  res = await request(server, 'POST', '/broadcast',
+    {message: 'restarting soon'});
+  assert.strictEqual(res.status, 200);
+  await message(alice, /^restarting soon$/);
+  await message(bob, /^restarting soon$/);
+  await server.close({graceMs: 0});
+});
+
+test('bans are added, listed and removed', async () => {
+  let server = await adminServer();
+  let bob = await connect(server, 'bob');
+  await join(server, bob, 'room');
+  let gone = new Promise(resolve => bob.once('disconnect', resolve));
+  let res = await request(server, 'POST', '/bans',
+    {nick: 'bob', reason: 'griefing'});
+  assert.strictEqual(res.status, 200);
+  await gone;
+  await request(server, 'POST', '/bans',
+    {type: 'mute', mask: '10.0.0.0/8', room: 'room'});
+  let {body: bans} = await request(server, 'GET', '/bans');
+  assert.deepStrictEqual(bans.map(e => [e.type, e.nick || e.mask, e.room]),
+    [['ban', 'bob', null], ['mute', '10.0.0.0/8', 'room']]);
+  res = await request(server, 'DELETE', '/bans?target=bob');
+  assert.strictEqual(res.status, 200);
+  res = await request(server, 'DELETE', '/bans?target=bob');
+  assert.strictEqual(res.status, 404);
+  res = await request(server, 'DELETE',
+    '/bans?type=mute&target=10.0.0.0%2F8&room=room');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(server.bans.list(), []);
+  await server.close({graceMs: 0});
+});
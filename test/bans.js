@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const TPTMPServer = require('..');
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Start a server on a free port of localhost
+ * @param {Object} [opts] Server options
+ * @return {Promise} Resolves to `{server, port}`
+ */
+function listen(opts = {}) {
+  let server = new TPTMPServer(opts);
+  return new Promise(resolve => server.tcpServer.listen(0, '127.0.0.1', () =>
+    resolve({server, port: server.tcpServer.address().port})));
+}
+
+/**
+ * Make a temporary directory, removed after the test
+ * @param {Object} t The test context
+ * @return {String} Path of the directory
+ */
+function tmpdir(t) {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tptmp-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+test('bans outlive the server and expire', async t => {
+  let banFile = path.join(tmpdir(t), 'bans.json');
+  let server = new TPTMPServer({banFile});
+  server.bans.add({type: 'ban', nick: 'bob', reason: 'griefing'});
+  server.bans.add({type: 'mute', mask: '10.0.0.0/8', room: 'room'});
+  server.bans.add({type: 'ban', nick: 'carol', duration: 50});
+  await server.bans.save();
+  await server.close({graceMs: 0});
+  await new Promise(resolve => setTimeout(resolve, 100));
+  server = new TPTMPServer({banFile});
+  assert.deepStrictEqual(server.bans.list().map(e => e.nick || e.mask),
+    ['bob', '10.0.0.0/8']);
+  await assert.rejects(connect(server, 'Bob'), /banned from this server/);
+  let carol = await connect(server, 'carol');
+  assert.ok(server.findClient('carol'));
+  carol.close();
+  await server.close({graceMs: 0});
+});
+
+test('room bans send members to the lobby and keep them out', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  alice.say('/ban bob 1h griefing');
+  await message(bob, /^You were banned from room until .* \(griefing\)$/);
+  await until(() => server.findClient('bob').room.isLobby());
+  bob.join('room');
+  await message(bob, /^You are banned from room until/);
+  assert.ok(server.findClient('bob').room.isLobby());
+  // other rooms are still open
+  await join(server, bob, 'other');
+  alice.say('/unban bob');
+  await message(alice, /^Removed ban on bob$/);
+  await join(server, bob, 'room');
+  await server.close({graceMs: 0});
+});
+
+test('mutes drop chat silently', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let chats = [];
+  alice.on('chat', (user, text) => chats.push(text));
+  alice.say('/mute bob');
+  await message(bob, /^You were muted in room/);
+  bob.say('can you hear me');
+  alice.say('/unmute bob');
+  await message(alice, /^Removed mute on bob$/);
+  bob.say('back');
+  await until(() => chats.length === 1);
+  assert.deepStrictEqual(chats, ['back']);
+  await server.close({graceMs: 0});
+});
+
+test('banned addresses that reset their connection are ignored', async () => {
+  let {server, port} = await listen();
+  server.bans.add({type: 'ban', mask: '127.0.0.1'});
+  for (let i = 0; i < 20; i++) {
+    let socket = net.connect(port, '127.0.0.1', () => socket.resetAndDestroy());
+    socket.on('error', () => {});
+  }
+  await new Promise(resolve => setTimeout(resolve, 200));
+  // still up, and still refusing
+  let socket = net.connect(port, '127.0.0.1');
+  let received = '';
+  socket.setEncoding('utf8');
+  socket.on('data', data => received += data);
+  await new Promise(resolve => socket.on('close', resolve));
+  assert.match(received, /banned/i);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const EventEmitter = require('events');
+const TPTMPServer = require('..');
+const {bridge} = TPTMPServer;
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Just enough of an IRC server for one bridge: it registers clients, takes
+ * the nicks in `taken` away and keeps the lines clients send
+ */
+class IRCStandIn extends EventEmitter {
+  constructor(taken = []) {
+    super();
+    this.taken = new Set(taken);
+    this.lines = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this._connection(socket));
+  }
+  /**
+   * Start listening on a free port of localhost
+   * @return {Promise} Resolves to the port
+   */
+  listen() {
+    return new Promise(resolve => this.server.listen(0, '127.0.0.1', () =>
+      resolve(this.server.address().port)));
+  }
+  /**
+   * Send a line to every client, as if a user said it
+   * @param {String} nick Nick of the user
+   * @param {String} line The command and its parameters
+   */
+  from(nick, line) {
+    for (let socket of this.sockets) {
+      socket.write(`:${nick}!user@host ${line}\r\n`);
+    }
+  }
+  /**
+   * Wait until a client sent a line
+   * @param {RegExp} pattern Pattern the line matches
+   * @return {Promise}
+   */
+  sent(pattern) {
+    return until(() => this.lines.some(line => pattern.test(line)));
+  }
+  /**
+   * Stop listening and drop every client
+   * @return {Promise}
+   */
+  close() {
+    for (let socket of this.sockets) socket.destroy();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+  _connection(socket) {
+    let buffer = '';
+    let nick = null;
+    let user = false;
+    // registration ends once both NICK and USER were accepted
+    let welcome = () => {
+      if (nick && user) socket.write(`:irc.test 001 ${nick} :Welcome\r\n`);
+    };
+    this.sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('close', () => this.sockets.delete(socket))
+    .on('error', () => {})
+    .on('data', data => {
+      let lines = (buffer + data).split('\r\n');
+      buffer = lines.pop();
+      for (let line of lines) {
+        this.lines.push(line);
+        let [command, ...params] = line.split(' ');
+        if (command === 'NICK' && this.taken.has(params[0])) {
+          socket.write(`:irc.test 433 * ${params[0]} :Nickname is in use\r\n`);
+        } else if (command === 'NICK') {
+          nick = params[0];
+          welcome();
+        } else if (command === 'USER') {
+          user = true;
+          welcome();
+        } else if (command === 'JOIN') {
+          socket.write(`:${nick}!bridge@host JOIN ${params[0]}\r\n`);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Start a server, an IRC stand-in and a bridge of #powder to sandbox
+ * @param {Object} [opts] Bridge options
+ * @param {Object} [adapterOpts] Adapter options
+ * @param {Object} [serverOpts] Server options
+ * @return {Promise} Resolves to `{server, irc, bridge}` once the bridge is in
+ *   the channel
+ */
+async function bridged(opts = {}, adapterOpts = {}, serverOpts = {}) {
+  let irc = new IRCStandIn(adapterOpts.taken);
+  let port = await irc.listen();
+  let server = new TPTMPServer(serverOpts);
+  let adapter = new bridge.IRCAdapter(Object.assign({
+    host: '127.0.0.1',
+    port,
+    rate: 100
+  }, adapterOpts));
+  let b = new bridge.Bridge(server, adapter, Object.assign({
+    rooms: {'#powder': 'sandbox'},
+    prefix: 'irc_'
+  }, opts));
+  b.start();
+  await irc.sent(/^JOIN #powder$/);
+  return {server, irc, bridge: b};
+}
+
+/**
+ * Stop what bridged started
+ * @param {Object} setup What bridged resolved to
+ * @return {Promise}
+ */
+async function stop({server, irc, bridge}) {
+  bridge.stop();
+  await server.close({graceMs: 0});
+  await irc.close();
+}
+
+test('room chat, emotes, joins and parts reach the channel', async () => {
+  let setup = await bridged();
+  let alice = await connect(setup.server, 'alice');
+  await join(setup.server, alice, 'sandbox');
+  await setup.irc.sent(/^PRIVMSG #powder :alice joined sandbox$/);
+  alice.say('hello irc');
+  await setup.irc.sent(/^PRIVMSG #powder :<alice> hello irc$/);
+  alice.emote('waves');
+  await setup.irc.sent(/^PRIVMSG #powder :\* alice waves$/);
+  alice.close();
+  await setup.irc.sent(/^PRIVMSG #powder :alice left sandbox$/);
+  await stop(setup);
+});
+
+test('channel messages are shown as server messages', async () => {
+  let setup = await bridged();
+  let alice = await connect(setup.server, 'alice');
+  await join(setup.server, alice, 'sandbox');
+  setup.irc.from('carol', 'PRIVMSG #powder :\x02hi\x02 there');
+  await message(alice, /^<irc_carol> hi there$/);
+  setup.irc.from('carol', 'PRIVMSG #powder :\x01ACTION waves\x01');
+  await message(alice, /^\* irc_carol waves$/);
+  setup.irc.from('carol', 'PRIVMSG #elsewhere :not bridged');
+  setup.irc.from('carol', 'PRIVMSG #powder :done');
+  await message(alice, /^<irc_carol> done$/);
+  assert.ok(!alice.messages.some(m => /not bridged/.test(m)));
+  await stop(setup);
+});
+
+test('channel users get virtual users with inject users', async () => {
+  let setup = await bridged({inject: 'users'});
+  let alice = await connect(setup.server, 'alice');
+  await join(setup.server, alice, 'sandbox');
+  let chat = new Promise(resolve => alice.once('chat', (user, text) =>
+    resolve([user.nick, text])));
+  setup.irc.from('carol', 'PRIVMSG #powder :hello game');
+  assert.deepStrictEqual(await chat, ['irc_carol', 'hello game']);
+  // commands from the channel are not run
+  setup.irc.from('carol', 'PRIVMSG #powder :/mode lock on');
+  await until(() => setup.server.findClient('irc_carol').room.name ===
+    'sandbox');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(setup.server.rooms.get('sandbox').modes.locked, false);
+  // chat of virtual users is not sent back out
+  assert.ok(!setup.irc.lines.some(line => /hello game/.test(line)));
+  let parted = new Promise(resolve => alice.once('part', resolve));
+  setup.irc.from('carol', 'QUIT :bye');
+  assert.strictEqual((await parted).nick, 'irc_carol');
+  await stop(setup);
+});
+
+test('virtual users split long messages and keep up with bursts',
+  async () => {
+    let setup = await bridged({inject: 'users'}, {}, {maxMessageLength: 50});
+    let alice = await connect(setup.server, 'alice');
+    await join(setup.server, alice, 'sandbox');
+    let chats = [];
+    alice.on('chat', (user, text) => chats.push(text));
+    setup.irc.from('carol', `PRIVMSG #powder :${'a'.repeat(120)}`);
+    for (let i = 0; i < 10; i++) {
+      setup.irc.from('carol', `PRIVMSG #powder :line ${i}`);
+    }
+    await until(() => chats.length === 13);
+    assert.deepStrictEqual(chats.slice(0, 3).map(text => text.length),
+      [50, 50, 20]);
+    assert.strictEqual(chats[12], 'line 9');
+    await stop(setup);
+  });
+
+test('virtual users are not made ops of the rooms they open', async () => {
+  let setup = await bridged({inject: 'users'});
+  setup.irc.from('carol', 'PRIVMSG #powder :first');
+  await until(() => setup.server.rooms.has('sandbox'));
+  let room = setup.server.rooms.get('sandbox');
+  assert.strictEqual(room.ops.size, 0);
+  let alice = await connect(setup.server, 'alice');
+  await join(setup.server, alice, 'sandbox');
+  assert.deepStrictEqual([...room.ops], [setup.server.findClient('alice').id]);
+  await stop(setup);
+});
+
+test('the adapter picks another nick when its nick is taken', async () => {
+  let setup = await bridged({}, {nick: 'bridge', taken: ['bridge']});
+  await setup.irc.sent(/^NICK bridge_$/);
+  assert.strictEqual(setup.bridge.adapter.nick, 'bridge_');
+  await stop(setup);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const TPTMPServer = require('..');
+const {TPTMPClient} = TPTMPServer;
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Start a server on a free port of localhost
+ * @return {Promise} Resolves to `{server, port}`
+ */
+function listen() {
+  let server = new TPTMPServer({host: '127.0.0.1'});
+  return new Promise(resolve => server.tcpServer.listen(0, '127.0.0.1', () =>
+    resolve({server, port: server.tcpServer.address().port})));
+}
+
+/**
+ * Connect a client over TCP
+ * @param {Number} port Port of the server
+ * @param {String} nick Nick of the client
+ * @return {Promise} Resolves to the client
+ */
+async function connectTCP(port, nick) {
+  let client = new TPTMPClient({nick, port, host: '127.0.0.1'});
+  await client.connect();
+  return client;
+}
+
+test('clients see each other join, chat and leave over TCP', async () => {
+  let {server, port} = await listen();
+  let alice = await connectTCP(port, 'alice');
+  let bob = await connectTCP(port, 'bob');
+  alice.join('room');
+  await until(() => server.findClient('alice').room.name === 'room');
+  let joined = new Promise(resolve => alice.once('join', resolve));
+  bob.join('room');
+  assert.strictEqual((await joined).nick, 'bob');
+  let chat = new Promise(resolve => alice.once('chat', (user, text) =>
+    resolve([user.nick, text])));
+  bob.say('hello');
+  assert.deepStrictEqual(await chat, ['bob', 'hello']);
+  let emote = new Promise(resolve => bob.once('emote', (user, text) =>
+    resolve([user.nick, text])));
+  alice.emote('waves');
+  assert.deepStrictEqual(await emote, ['alice', 'waves']);
+  let parted = new Promise(resolve => alice.once('part', resolve));
+  bob.close();
+  assert.strictEqual((await parted).nick, 'bob');
+  alice.close();
+  await server.close({graceMs: 0});
+});
+
+test('clients answer sync requests for joiners', async () => {
+  let {server, port} = await listen();
+  let alice = await connectTCP(port, 'alice');
+  alice.join('room');
+  await until(() => server.findClient('alice').room.name === 'room');
+  alice.on('syncRequest', id => alice.replySync(id, Buffer.from('save')));
+  let bob = await connectTCP(port, 'bob');
+  let sync = new Promise(resolve => bob.once('sync', resolve));
+  bob.join('room');
+  assert.strictEqual((await sync).toString(), 'save');
+  alice.close();
+  bob.close();
+  await server.close({graceMs: 0});
+});
+
+test('connect rejects when the server refuses the handshake', async () => {
+  let {server, port} = await listen();
+  let alice = await connectTCP(port, 'alice');
+  await assert.rejects(connectTCP(port, 'alice'),
+    /This nick is already on the server/);
+  alice.close();
+  await server.close({graceMs: 0});
+});
+
+test('clients work over virtual connections and get kicked', async () => {
+  let server = new TPTMPServer();
+  let op = await connect(server, 'op');
+  let user = await connect(server, 'user');
+  op.join('room');
+  await message(op, /op is now an op/);
+  user.join('room');
+  await until(() => op.users.size === 1);
+  let gone = new Promise(resolve => user.once('disconnect', resolve));
+  op.kick('user', 'testing');
+  await gone;
+  assert.ok(user.messages.includes('You were kicked by op (testing)'));
+  assert.strictEqual(user.connected, false);
+  await server.close({graceMs: 0});
+});
+
+test('connect rejects when the connection ends before the handshake',
+  async () => {
+    let tcpServer = net.createServer(socket => socket.destroy());
+    await new Promise(resolve => tcpServer.listen(0, '127.0.0.1', resolve));
+    await assert.rejects(connectTCP(tcpServer.address().port, 'early'),
+      /Connection closed/);
+    await new Promise(resolve => tcpServer.close(resolve));
+  });
+
+test('refused joins leave the room and users as they were', async () => {
+  let server = new TPTMPServer();
+  let op = await connect(server, 'op');
+  let user = await connect(server, 'user');
+  await join(server, op, 'locked');
+  await join(server, user, 'open');
+  await until(() => user.room === 'open');
+  op.say('/mode lock on');
+  await until(() => server.rooms.get('locked').modes.locked);
+  let other = await connect(server, 'other');
+  await join(server, other, 'open');
+  await until(() => user.users.size === 1);
+  user.join('locked');
+  await message(user, /locked/);
+  assert.strictEqual(user.room, 'open');
+  assert.deepStrictEqual([...user.users.values()].map(u => u.nick),
+    ['other']);
+  await server.close({graceMs: 0});
+});
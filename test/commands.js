@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {connect, join, message} = require('./helpers');
+
+test('hooks.message sees command lines other than secret ones', async () => {
+  let lines = [];
+  let server = new TPTMPServer({hooks: {message: (client, line) => {
+    lines.push(line);
+    return !/badword/.test(line);
+  }}});
+  server.registerCommand('secret', {secret: true}, client =>
+    client.serverMessage('secret ran'));
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  alice.say('/msg bob badword');
+  alice.say('/msg bob hello');
+  await message(bob, /^<- alice: hello$/);
+  assert.ok(!bob.messages.some(m => /badword/.test(m)));
+  alice.say('/secret badword');
+  await message(alice, /^secret ran$/);
+  assert.deepStrictEqual(lines, ['/msg bob badword', '/msg bob hello']);
+  await server.close({graceMs: 0});
+});
+
+test('hooks that throw refuse command lines', async () => {
+  let server = new TPTMPServer({hooks: {message: () => {
+    throw new Error('broken hook');
+  }}});
+  let errors = [];
+  server.middleware.on('handlerError', (err, stage) =>
+    errors.push([err.message, stage]));
+  let ran = false;
+  server.registerCommand('ping', {}, () => ran = true);
+  let alice = await connect(server, 'alice');
+  alice.say('/ping');
+  // answered without the hook, once the line before was handled
+  alice.say('/nope');
+  await message(alice, /^Unknown command \/nope/);
+  assert.strictEqual(ran, false);
+  assert.deepStrictEqual(errors[0], ['broken hook', 'command']);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const protocol = require('../src/protocol');
+const {until} = require('./helpers');
+
+/**
+ * Make a seeded random number generator, so that failures can be replayed
+ * @param {Number} seed The seed
+ * @return {Function} Returns numbers from 0 to 1
+ */
+function random(seed) {
+  return () => {
+    seed = seed + 0x6d2b79f5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Make random bytes
+ * @param {Function} rand Random number generator
+ * @param {Number} length How many
+ * @return {Buffer}
+ */
+function bytes(rand, length) {
+  let buf = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) buf[i] = Math.floor(rand() * 256);
+  return buf;
+}
+
+let handshake = nick => protocol.encode('serverbound', {
+  type: 'handshake',
+  major: 92,
+  minor: 5,
+  script: 3,
+  nick
+});
+
+/**
+ * Create a server that counts what happens to its clients
+ * @param {Object} [opts] Server options
+ * @return {Object} `{server, errors, disconnects}`, errors and disconnects
+ *   being arrays of `[client, value]`
+ */
+function fuzzServer(opts = {}) {
+  let server = new TPTMPServer(Object.assign({
+    handshakeTimeout: 200,
+    maxStringLength: 300
+  }, opts));
+  let errors = [];
+  let disconnects = [];
+  server.on('protocolError', (client, err) => errors.push([client, err]));
+  server.on('clientError', (err, client) => errors.push([client, err]));
+  server.on('disconnect', (client, reason) =>
+    disconnects.push([client, reason]));
+  return {server, errors, disconnects};
+}
+
+test('random bytes disconnect clients once with a reason', async () => {
+  let {server, errors, disconnects} = fuzzServer();
+  let rand = random(22);
+  for (let i = 0; i < 600; i++) {
+    let {socket, client} = server.connectVirtual();
+    assert.ok(client);
+    let junk = bytes(rand, 1 + Math.floor(rand() * 400));
+    switch (i % 3) {
+      case 0: {
+        socket.write(junk);
+        break;
+      }
+      case 1: {
+        socket.write(handshake(`f${i}`));
+        socket.write(junk);
+        break;
+      }
+      default: {
+        socket.write(handshake(`g${i}`));
+        socket.write(protocol.encode('serverbound', {
+          type: 'join',
+          room: 'fz'
+        }));
+        // in pieces, so that junk keeps coming after an error
+        for (let j = 0; j < 400; j += 40) {
+          socket.write(junk.slice(j, j + 40));
+        }
+      }
+    }
+    socket.end();
+    await until(() => !client.connected && !client.dropped);
+  }
+  await until(() => server.clients.size === 0);
+  let seen = new Map();
+  for (let [client] of disconnects) {
+    assert.ok(!seen.has(client), 'disconnected twice');
+    seen.set(client, true);
+  }
+  assert.strictEqual(seen.size, 600);
+  for (let [, reason] of disconnects) assert.ok(reason);
+  let perClient = new Map();
+  for (let [client] of errors) {
+    perClient.set(client, (perClient.get(client) || 0) + 1);
+  }
+  for (let count of perClient.values()) assert.strictEqual(count, 1);
+  for (let [, err] of errors) {
+    assert.ok(err instanceof protocol.ProtocolError, err.stack);
+  }
+  await server.close({graceMs: 0});
+});
+
+test('data after a protocol error is not read', async () => {
+  let {server, errors, disconnects} = fuzzServer();
+  let {socket, client} = server.connectVirtual();
+  socket.write(handshake('junk'));
+  socket.write(Buffer.from([250]));
+  for (let i = 0; i < 20; i++) socket.write(Buffer.from([250, 251, 252]));
+  await until(() => !client.connected);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0][1].message, /^Unknown opcode 250/);
+  assert.deepStrictEqual(disconnects.map(([, reason]) => reason),
+    ['Protocol error: Unknown opcode 250']);
+  await server.close({graceMs: 0});
+});
+
+test('decoder bugs disconnect the client, not the server', async () => {
+  let {server, errors, disconnects} = fuzzServer();
+  let {socket, client} = server.connectVirtual();
+  client.decoder.push = () => {
+    throw new TypeError('bug');
+  };
+  socket.write(handshake('bug'));
+  await until(() => !client.connected);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0][1].message, 'bug');
+  assert.deepStrictEqual(disconnects.map(([, reason]) => reason),
+    ['Internal error']);
+  await server.close({graceMs: 0});
+});
+
+test('long strings and slow handshakes are refused', async () => {
+  let {server, disconnects} = fuzzServer();
+  let long = server.connectVirtual();
+  long.socket.write(handshake('long'));
+  // chat with an unterminated 400 byte message
+  long.socket.write(Buffer.concat([Buffer.from([19]),
+    Buffer.alloc(400, 65)]));
+  let slow = server.connectVirtual();
+  slow.socket.write(Buffer.from([92]));
+  await until(() => !long.client.connected && !slow.client.connected);
+  let reasons = new Map(disconnects.map(([client, reason]) =>
+    [client, reason]));
+  assert.match(reasons.get(long.client), /^Protocol error: String too long/);
+  assert.strictEqual(reasons.get(slow.client), 'Handshake timeout');
+  await server.close({graceMs: 0});
+});
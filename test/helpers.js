@@ -0,0 +1,68 @@
+const TPTMPServer = require('..');
+const {TPTMPClient} = TPTMPServer;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition The condition
+ * @param {Number} [timeout=2000] Longest wait, in ms
+ * @return {Promise} Rejects if the condition does not hold in time
+ */
+async function until(condition, timeout = 2000) {
+  let deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Wait for a while
+ * @param {Number} ms How long, in ms
+ * @return {Promise}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Connect a TPTMPClient to a server in process
+ * Server messages it gets are kept in `client.messages`.
+ * @param {TPTMPServer} server The server
+ * @param {String} nick Nick of the client
+ * @return {Promise} Resolves to the client once it is in the lobby
+ */
+async function connect(server, nick) {
+  let {socket} = server.connectVirtual();
+  let client = new TPTMPClient({nick, socket});
+  client.messages = [];
+  client.on('serverMessage', message => client.messages.push(message));
+  await client.connect();
+  return client;
+}
+
+/**
+ * Move a client to a room and wait until the server put it there
+ * @param {TPTMPServer} server The server
+ * @param {TPTMPClient} client The client
+ * @param {String} room Name of the room
+ * @return {Promise}
+ */
+async function join(server, client, room) {
+  client.join(room);
+  await until(() => {
+    let c = server.findClient(client.nick);
+    return c && c.room && c.room.name === room;
+  });
+}
+
+/**
+ * Wait until a client got a server message
+ * @param {TPTMPClient} client The client
+ * @param {RegExp} pattern Pattern the message matches
+ * @return {Promise}
+ */
+function message(client, pattern) {
+  return until(() => client.messages.some(m => pattern.test(m)));
+}
+
+module.exports = {until, wait, connect, join, message};
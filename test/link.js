@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const TPTMPServer = require('..');
+const {until, connect, join} = require('./helpers');
+
+/**
+ * Start two servers on localhost, b linking to a
+ * @param {Object} [opts] Link options of both
+ * @return {Promise} Resolves to `{a, b}` once they are linked
+ */
+async function linked(opts = {}) {
+  let a = new TPTMPServer({name: 'a', link: Object.assign({
+    password: 'secret'
+  }, opts)});
+  await new Promise(resolve =>
+    a.links.tcpServer.listen(0, '127.0.0.1', resolve));
+  let port = a.links.tcpServer.address().port;
+  let b = new TPTMPServer({name: 'b', link: Object.assign({
+    password: 'secret',
+    peers: [{host: '127.0.0.1', port}],
+    reconnectDelay: 60 * 1000
+  }, opts)});
+  let up = Promise.all([a, b].map(server =>
+    new Promise(resolve => server.links.once('link', resolve))));
+  b.links.listen();
+  await up;
+  return {a, b};
+}
+
+/**
+ * Close servers
+ * @param {...TPTMPServer} servers The servers
+ * @return {Promise}
+ */
+function close(...servers) {
+  return Promise.all(servers.map(server => server.close({graceMs: 0})));
+}
+
+test('clients of linked servers share rooms', async () => {
+  let {a, b} = await linked();
+  let alice = await connect(a, 'alice');
+  let bob = await connect(b, 'bob');
+  await join(a, alice, 'shared');
+  let joined = new Promise(resolve => alice.once('join', resolve));
+  await join(b, bob, 'shared');
+  assert.strictEqual((await joined).nick, 'bob');
+  await until(() => bob.users.size === 1);
+  assert.deepStrictEqual([...bob.users.values()].map(u => u.nick),
+    ['alice']);
+
+  let chat = new Promise(resolve => alice.once('chat', (user, text) =>
+    resolve([user.nick, text])));
+  bob.say('hi from b');
+  assert.deepStrictEqual(await chat, ['bob', 'hi from b']);
+  let size = new Promise(resolve => bob.once('brushSize', (packet, user) =>
+    resolve([user.nick, packet.w, packet.h])));
+  alice.send({type: 'brushSize', w: 7, h: 9});
+  assert.deepStrictEqual(await size, ['alice', 7, 9]);
+
+  let parted = new Promise(resolve => alice.once('part', resolve));
+  bob.close();
+  assert.strictEqual((await parted).nick, 'bob');
+  await close(b, a);
+});
+
+test('joiners are synced by members of the other server', async () => {
+  let {a, b} = await linked();
+  let alice = await connect(a, 'alice');
+  await join(a, alice, 'shared');
+  await until(() => [...b.links.users.values()]
+    .some(user => user.roomName === 'shared'));
+  alice.on('syncRequest', id => alice.replySync(id, Buffer.from('save')));
+  let bob = await connect(b, 'bob');
+  let sync = new Promise(resolve => bob.once('sync', resolve));
+  bob.join('shared');
+  assert.strictEqual((await sync).toString(), 'save');
+  await close(b, a);
+});
+
+test('users leave when their link closes', async () => {
+  let {a, b} = await linked();
+  let alice = await connect(a, 'alice');
+  let bob = await connect(b, 'bob');
+  await join(a, alice, 'shared');
+  await join(b, bob, 'shared');
+  await until(() => alice.users.size === 1);
+  let parted = new Promise(resolve => alice.once('part', resolve));
+  for (let link of b.links.links) link.close('Testing');
+  assert.strictEqual((await parted).nick, 'bob');
+  await until(() => alice.messages.some(m => /^Lost the link to b/.test(m)));
+  await close(b, a);
+});
+
+test('only shared rooms are linked', async () => {
+  let {a, b} = await linked({rooms: ['shared']});
+  let alice = await connect(a, 'alice');
+  let bob = await connect(b, 'bob');
+  await join(a, alice, 'private');
+  await join(b, bob, 'private');
+  bob.say('anyone?');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(alice.users.size, 0);
+  await close(b, a);
+});
+
+test('links with the wrong password are refused', async () => {
+  let a = new TPTMPServer({name: 'a', link: {password: 'secret'}});
+  await new Promise(resolve =>
+    a.links.tcpServer.listen(0, '127.0.0.1', resolve));
+  let b = new TPTMPServer({name: 'b', link: {
+    password: 'wrong',
+    peers: [{host: '127.0.0.1', port: a.links.tcpServer.address().port}],
+    reconnectDelay: 60 * 1000
+  }});
+  let unlinked = new Promise(resolve =>
+    b.links.once('unlink', (link, reason) => resolve(reason)));
+  b.links.listen();
+  assert.match(await unlinked, /password/i);
+  await until(() => a.links.links.size === 0);
+  await close(b, a);
+});
+
+test('lines that are not objects close the link', async () => {
+  let a = new TPTMPServer({name: 'a', link: {password: 'secret'}});
+  await new Promise(resolve =>
+    a.links.tcpServer.listen(0, '127.0.0.1', resolve));
+  let port = a.links.tcpServer.address().port;
+  let errors = [];
+  a.links.on('linkError', err => errors.push(err));
+  for (let line of ['null', '1', '[]', '"hello"']) {
+    let socket = net.connect(port, '127.0.0.1');
+    socket.on('error', () => {}).resume();
+    let closed = new Promise(resolve => socket.on('close', resolve));
+    socket.write(line + '\n');
+    await closed;
+  }
+  await until(() => a.links.links.size === 0);
+  assert.deepStrictEqual(errors, []);
+  await close(a);
+});
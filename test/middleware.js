@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {Middleware} = require('../src/middleware');
+const {until, wait, connect, join, message} = require('./helpers');
+
+test('handlers run by priority, then in the order they were added', () => {
+  let middleware = new Middleware();
+  let order = [];
+  middleware.use('chat', () => order.push('late'), {priority: 10});
+  middleware.use('chat', () => order.push('first'));
+  let remove = middleware.use('chat', () => order.push('removed'));
+  middleware.use('chat', () => order.push('early'), {priority: -10});
+  middleware.use('packet', () => order.push('other stage'));
+  remove();
+  let ctx = middleware.run('chat', {message: 'hi'});
+  assert.deepStrictEqual(order, ['early', 'first', 'late']);
+  assert.strictEqual(ctx.rejected, false);
+  middleware.use('chat', ctx => ctx.reject('nope'), {priority: 5});
+  order = [];
+  ctx = middleware.run('chat', {message: 'hi'});
+  assert.deepStrictEqual(order, ['early', 'first']);
+  assert.deepStrictEqual([ctx.rejected, ctx.reason], [true, 'nope']);
+  assert.throws(() => middleware.use('nothing', () => {}), /Unknown stage/);
+});
+
+test('packet handlers only see their types', () => {
+  let middleware = new Middleware();
+  let seen = [];
+  middleware.use('packet', ctx => seen.push(ctx.packet.type),
+    {types: ['clearSim']});
+  middleware.use('packet', () => false, {types: ['stamp']});
+  middleware.run('packet', {packet: {type: 'mouseMove'}});
+  middleware.run('packet', {packet: {type: 'clearSim'}});
+  assert.deepStrictEqual(seen, ['clearSim']);
+  assert.ok(middleware.run('packet', {packet: {type: 'stamp'}}).rejected);
+});
+
+test('async chat handlers change and refuse messages in order', async () => {
+  let server = new TPTMPServer();
+  server.use('chat', async ctx => {
+    // the first message waits the longest
+    await wait(ctx.message === 'one' ? 30 : 0);
+    if (/spam/.test(ctx.message)) ctx.reject('Message blocked');
+    ctx.message = ctx.message.replace(/darn/g, '****');
+  });
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let chats = [];
+  bob.on('chat', (user, text) => chats.push(text));
+  alice.say('one');
+  alice.say('buy spam');
+  alice.say('darn it');
+  await until(() => chats.length === 2);
+  assert.deepStrictEqual(chats, ['one', '**** it']);
+  await message(alice, /^Message blocked$/);
+  await server.close({graceMs: 0});
+});
+
+test('joins can be redirected and handshakes renamed or refused',
+  async () => {
+    let server = new TPTMPServer();
+    server.use('handshake', ctx => {
+      if (ctx.nick === 'mallory') return false;
+      ctx.nick = ctx.nick.toLowerCase();
+    });
+    server.use('join', ctx => {
+      if (ctx.room === 'old') ctx.room = 'new';
+    });
+    await assert.rejects(connect(server, 'mallory'));
+    let alice = await connect(server, 'ALICE');
+    assert.ok(server.findClient('alice'));
+    alice.join('old');
+    await until(() => server.findClient('alice').room.name === 'new');
+    await server.close({graceMs: 0});
+  });
+
+test('send handlers change what rooms get', async () => {
+  let server = new TPTMPServer();
+  server.use('send', ctx => {
+    ctx.packet = Object.assign({}, ctx.packet,
+      {message: ctx.packet.message.toUpperCase()});
+  }, {types: ['chat']});
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let chat = new Promise(resolve => bob.once('chat', (user, text) =>
+    resolve(text)));
+  alice.say('quiet');
+  assert.strictEqual(await chat, 'QUIET');
+  await server.close({graceMs: 0});
+});
+
+test('hooks run as handlers and handlers that throw refuse', async () => {
+  let server = new TPTMPServer({hooks: {
+    join: (client, room) => room !== 'closed'
+  }});
+  let errors = [];
+  server.middleware.on('handlerError', (err, stage) =>
+    errors.push([err.message, stage]));
+  server.use('part', ctx => {
+    if (ctx.to === 'broken') throw new Error('broken handler');
+  });
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  alice.join('closed');
+  alice.join('broken');
+  alice.join('open');
+  await until(() => server.findClient('alice').room.name === 'open');
+  assert.ok(!server.rooms.has('closed') && !server.rooms.has('broken'));
+  assert.deepStrictEqual(errors, [['broken handler', 'part']]);
+  await server.close({graceMs: 0});
+});
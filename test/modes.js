@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {until, wait, connect, join, message} = require('./helpers');
+
+/**
+ * Start a server with alice as the op of room and bob elsewhere
+ * @return {Promise} Resolves to `{server, alice, bob}`
+ */
+async function setup() {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'other');
+  return {server, alice, bob};
+}
+
+test('password rooms need the password and keep refused users where they are',
+  async () => {
+    let {server, alice, bob} = await setup();
+    alice.say('/mode password hunter2');
+    await message(alice, /^alice set the room password$/);
+    bob.join('room');
+    await message(bob, /^room needs a password, join room:<password>$/);
+    bob.join('room:wrong');
+    await message(bob, /^Wrong password for room$/);
+    assert.strictEqual(server.findClient('bob').room.name, 'other');
+    bob.join('room:hunter2');
+    await until(() => server.findClient('bob').room.name === 'room');
+    await server.close({graceMs: 0});
+  });
+
+test('invite only and locked rooms let invited users in', async () => {
+  let {server, alice, bob} = await setup();
+  alice.say('/mode invite on');
+  await message(alice, /invite only$/);
+  bob.join('room');
+  await message(bob, /^room is invite only$/);
+  alice.say('/mode lock on');
+  await message(alice, /invite only, locked$/);
+  bob.join('room');
+  await message(bob, /^room is locked$/);
+  alice.say('/invite bob');
+  await message(bob, /^alice invited you to room$/);
+  await join(server, bob, 'room');
+  await server.close({graceMs: 0});
+});
+
+test('full rooms refuse joins', async () => {
+  let {server, alice, bob} = await setup();
+  alice.say('/mode limit 1');
+  await message(alice, /limited to 1 users$/);
+  bob.join('room');
+  await message(bob, /^room is full \(1\/1\)$/);
+  assert.strictEqual(server.findClient('bob').room.name, 'other');
+  await server.close({graceMs: 0});
+});
+
+test('moderated rooms only let voiced users talk and draw', async () => {
+  let {server, alice, bob} = await setup();
+  await join(server, bob, 'room');
+  alice.say('/mode moderated on');
+  await message(alice, /moderated$/);
+  let chats = [];
+  let cleared = 0;
+  alice.on('chat', (user, text) => chats.push(text));
+  alice.on('clearSim', () => cleared++);
+  bob.say('hello');
+  await message(bob, /^This room is moderated, only voiced users can talk$/);
+  bob.send({type: 'clearSim'});
+  await wait(50);
+  assert.deepStrictEqual(chats, []);
+  assert.strictEqual(cleared, 0);
+  alice.say('/voice bob');
+  await message(bob, /^alice gave voice to bob$/);
+  bob.say('hello');
+  bob.send({type: 'clearSim'});
+  await until(() => chats.length === 1 && cleared === 1);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('assert');
+const {Writable} = require('stream');
+const TPTMPServer = require('..');
+const {TPTMPClient} = TPTMPServer;
+const Outbox = require('../src/outbox');
+const protocol = require('../src/protocol');
+const {until, connect, join} = require('./helpers');
+
+/**
+ * A socket that takes writes but only finishes them when told to
+ * @return {Writable} The socket, `release()` finishes what it holds and
+ *   `written` has what it finished
+ */
+function heldSocket() {
+  let held = [];
+  let socket = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      held.push(() => {
+        socket.written.push(chunk);
+        callback();
+      });
+    }
+  });
+  socket.written = [];
+  socket.release = () => {
+    while (held.length) held.shift()();
+  };
+  return socket;
+}
+
+/**
+ * Stand in for the client of an outbox
+ * @param {Object} [opts] Server options
+ * @return {Object} `{server, connected, slowed}`, slowed counting slow calls
+ */
+function outboxClient(opts = {}) {
+  let client = {server: new TPTMPServer(opts), connected: true, slowed: 0};
+  client.slow = () => client.slowed++;
+  return client;
+}
+
+/**
+ * Encode a clientbound packet with the packet it encodes
+ * @param {Object} packet The packet
+ * @return {Array} `[buf, packet]`
+ */
+function encoded(packet) {
+  return [protocol.encode('clientbound', packet), packet];
+}
+
+test('only the latest cursor of each user waits', async () => {
+  let client = outboxClient();
+  let socket = heldSocket();
+  let outbox = new Outbox(client, socket);
+  outbox.write(Buffer.alloc(32));
+  assert.ok(outbox.congested);
+  let packets = [
+    {type: 'mouseMove', id: 1, x: 1, y: 1},
+    {type: 'mouseMove', id: 2, x: 2, y: 2},
+    {type: 'chat', id: 1, message: 'hi'},
+    {type: 'mouseMove', id: 1, x: 3, y: 3}
+  ];
+  for (let packet of packets) outbox.write(...encoded(packet));
+  assert.strictEqual(outbox.queue.length, 3);
+  socket.release();
+  await until(() => socket.written.length === 4);
+  let decoder = new protocol.Decoder('clientbound', {handshake: false});
+  let decoded = decoder.push(Buffer.concat(socket.written.slice(1)));
+  assert.deepStrictEqual(decoded.map(p => [p.type, p.id, p.x]),
+    [['mouseMove', 1, 3], ['mouseMove', 2, 2], ['chat', 1, undefined]]);
+  assert.strictEqual(outbox.bytes, 0);
+  client.server.close({graceMs: 0});
+});
+
+test('clients over the budget lag, then are too slow', async () => {
+  let client = outboxClient({maxQueuedBytes: 100, lagTimeout: 50});
+  let events = [];
+  client.server.on('lagging', (c, bytes) => events.push(['lagging', bytes]));
+  client.server.on('caughtUp', () => events.push(['caughtUp']));
+  let socket = heldSocket();
+  let outbox = new Outbox(client, socket);
+  outbox.write(Buffer.alloc(150));
+  assert.ok(outbox.lagging);
+  socket.release();
+  await until(() => !outbox.lagging);
+  assert.deepStrictEqual(events, [['lagging', 150], ['caughtUp']]);
+  outbox.write(Buffer.alloc(150));
+  await until(() => client.slowed === 1);
+  // past twice the budget there is no waiting
+  socket.release();
+  await until(() => outbox.bytes === 0);
+  outbox.write(Buffer.alloc(250));
+  assert.strictEqual(client.slowed, 2);
+  client.server.close({graceMs: 0});
+});
+
+test('clients that stop reading are disconnected', async () => {
+  let server = new TPTMPServer({
+    maxQueuedBytes: 256 * 1024,
+    lagTimeout: 100,
+    rateLimits: {stamp: null}
+  });
+  await new Promise(resolve => server.tcpServer.listen(0, '127.0.0.1',
+    resolve));
+  let reasons = new Map();
+  server.on('disconnect', (client, reason) => reasons.set(client.nick, reason));
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  let bob = new TPTMPClient({nick: 'bob', host: '127.0.0.1',
+    port: server.tcpServer.address().port});
+  bob.on('error', () => {});
+  await bob.connect();
+  await join(server, bob, 'room');
+  bob.socket.pause();
+  let stamp = Buffer.alloc(256 * 1024);
+  for (let i = 0; i < 64 && !reasons.has('bob'); i++) {
+    alice.sendStamp(0, 0, stamp);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await until(() => reasons.has('bob'));
+  assert.strictEqual(reasons.get('bob'), 'Too slow (send queue full)');
+  assert.ok(server.findClient('alice').connected);
+  bob.socket.destroy();
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {until, wait, connect, join, message} = require('./helpers');
+
+test('chat over its limit is dropped with a single warning', async () => {
+  let server = new TPTMPServer({rateLimits: {chat: {rate: 0.1, burst: 2}}});
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let floods = [];
+  server.on('flood', (client, name, action) =>
+    floods.push([client.nick, name, action]));
+  let chats = [];
+  alice.on('chat', (user, text) => chats.push(text));
+  for (let i = 0; i < 5; i++) bob.say(`line ${i}`);
+  await until(() => floods.length === 3);
+  await wait(50);
+  assert.deepStrictEqual(chats, ['line 0', 'line 1']);
+  assert.strictEqual(bob.messages.filter(m => /too fast/.test(m)).length, 1);
+  assert.deepStrictEqual(floods[0], ['bob', 'chat', 'warn']);
+  await server.close({graceMs: 0});
+});
+
+test('flooding can mute or kick', async () => {
+  let server = new TPTMPServer({
+    rateLimits: {
+      chat: {rate: 0.1, burst: 1, action: 'mute'},
+      cursor: {rate: 0.1, burst: 1, action: 'kick'}
+    },
+    floodMuteDuration: 60000
+  });
+  let bob = await connect(server, 'bob');
+  await join(server, bob, 'room');
+  bob.say('one');
+  bob.say('two');
+  bob.say('three');
+  await until(() => server.bans.find('mute', {nick: 'bob'}));
+  assert.strictEqual(server.bans.list().length, 1);
+  assert.match(server.bans.list()[0].reason, /^Flooding \(chat\)$/);
+  let gone = new Promise(resolve => bob.once('disconnect', resolve));
+  bob.send({type: 'mouseMove', x: 1, y: 1});
+  bob.send({type: 'mouseMove', x: 2, y: 2});
+  await gone;
+  assert.ok(bob.messages.includes('You were kicked for flooding (cursor)'));
+  await until(() => !server.findClient('bob'));
+  await server.close({graceMs: 0});
+});
+
+test('stamps over the payload cap disconnect the client', async () => {
+  let server = new TPTMPServer({maxPayloadSize: 1024});
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let stamps = 0;
+  alice.on('stamp', () => stamps++);
+  bob.sendStamp(0, 0, Buffer.alloc(1024));
+  await until(() => stamps === 1);
+  let gone = new Promise(resolve => bob.once('disconnect', resolve));
+  bob.sendStamp(0, 0, Buffer.alloc(1025));
+  await gone;
+  await until(() => !server.findClient('bob'));
+  assert.strictEqual(stamps, 1);
+  await server.close({graceMs: 0});
+});
+
+test('clients whose drawing was dropped are synced back', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  let requests = 0;
+  alice.on('syncRequest', id => {
+    requests++;
+    alice.replySync(id, Buffer.from('save'));
+  });
+  let bob = await connect(server, 'bob');
+  let syncs = 0;
+  bob.on('sync', () => syncs++);
+  await join(server, bob, 'room');
+  await until(() => syncs === 1);
+  let cleared = 0;
+  alice.on('clearSim', () => cleared++);
+  for (let i = 0; i < 5; i++) bob.send({type: 'clearSim'});
+  await message(bob, /^You are sending too fast \(destructive\)/);
+  await until(() => syncs === 2);
+  assert.strictEqual(cleared, 3);
+  assert.strictEqual(requests, 2);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const TPTMPServer = require('..');
+const {recording} = TPTMPServer;
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Make a directory for recordings, removed once the test ends
+ * @param {Object} t The test context
+ * @return {String} Path of the directory
+ */
+function tmpdir(t) {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tptmp-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  return dir;
+}
+
+test('recordings are read back and replayed', async t => {
+  let file = path.join(tmpdir(t), 'room.rec');
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  let recorder = new recording.Recorder(server.rooms.get('room'), file);
+  recorder.start();
+  alice.say('hello');
+  alice.send({type: 'brushSize', w: 7, h: 9});
+  await until(() => server.findClient('alice').brushSize.w === 7);
+  await recorder.stop();
+  let {records} = await recording.read(file);
+  let types = records.filter(r => r.kind === recording.kinds.PACKET)
+    .map(r => r.packet.type);
+  assert.ok(types.includes('brushSize'));
+  assert.ok(types.includes('chat'));
+
+  let viewer = await connect(server, 'viewer');
+  await join(server, viewer, 'review');
+  let replayer = new recording.Replayer(server, file, {room: 'review',
+    speed: 100});
+  let ended = new Promise(resolve => replayer.once('end', resolve));
+  await replayer.start();
+  await ended;
+  await message(viewer, /^\[replay\] <alice> hello$/);
+  await server.close({graceMs: 0});
+});
+
+test('snapshots are replayed as syncs by participants that are not ops',
+  async t => {
+    let file = path.join(tmpdir(t), 'sync.rec');
+    let server = new TPTMPServer();
+    let alice = await connect(server, 'alice');
+    await join(server, alice, 'room');
+    alice.on('syncRequest', id => alice.replySync(id, Buffer.from('save')));
+    let recorder = new recording.Recorder(server.rooms.get('room'), file);
+    recorder.start();
+    let bob = await connect(server, 'bob');
+    let synced = new Promise(resolve => bob.once('sync', resolve));
+    bob.join('room');
+    await synced;
+    await recorder.stop();
+
+    let viewer = await connect(server, 'viewer');
+    await join(server, viewer, 'review');
+    viewer.say('/mode destructive approval');
+    await until(() => server.rooms.get('review').modes.destructive ===
+      'approval');
+    let cleared = false;
+    viewer.on('clearSim', () => cleared = true);
+    let sync = new Promise(resolve => viewer.once('sync', resolve));
+    let replayer = new recording.Replayer(server, file, {room: 'review',
+      speed: 100});
+    let ended = new Promise(resolve => replayer.once('end', resolve));
+    await replayer.start();
+    assert.strictEqual((await sync).toString(), 'save');
+    await ended;
+    assert.strictEqual(cleared, false);
+    assert.strictEqual(server.rooms.get('review').vote, null);
+    assert.deepStrictEqual([...server.rooms.get('review').ops],
+      [server.findClient('viewer').id]);
+    await server.close({graceMs: 0});
+  });
+
+test('replays into empty rooms make no ops', async t => {
+  let file = path.join(tmpdir(t), 'empty.rec');
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  let recorder = new recording.Recorder(server.rooms.get('room'), file);
+  recorder.start();
+  alice.say('hello');
+  await recorder.stop();
+  let ops = [];
+  server.on('roomCreate', room => room.on('op', client =>
+    ops.push(client.nick)));
+  let replayer = new recording.Replayer(server, file, {room: 'empty'});
+  let ended = new Promise(resolve => replayer.once('end', resolve));
+  await replayer.start();
+  await ended;
+  assert.deepStrictEqual(ops, []);
+  await server.close({graceMs: 0});
+});
+
+test('corrupt recordings are refused', async t => {
+  let dir = tmpdir(t);
+  let header = Buffer.alloc(17);
+  Buffer.from('TPTMPREC').copy(header);
+  header[8] = 1;
+  // a packet record holding only the opcode of a chat packet
+  let record = Buffer.from([0, 0, 0, 0, recording.kinds.PACKET, 0, 0, 0, 1,
+    19]);
+  let corrupt = path.join(dir, 'corrupt.rec');
+  fs.writeFileSync(corrupt, zlib.gzipSync(Buffer.concat([header, record])));
+  await assert.rejects(recording.read(corrupt), /^Error: Corrupt recording/);
+  let truncated = path.join(dir, 'truncated.rec');
+  fs.writeFileSync(truncated, zlib.gzipSync(Buffer.concat([header,
+    record.slice(0, -1)])));
+  await assert.rejects(recording.read(truncated),
+    /^Error: Truncated recording/);
+  let server = new TPTMPServer();
+  let replayer = new recording.Replayer(server, corrupt, {room: 'review'});
+  await assert.rejects(replayer.start(), /Corrupt recording/);
+  assert.strictEqual(server.clients.size, 0);
+  await server.close({graceMs: 0});
+});
+
+test('recorders report write errors without an error listener', async t => {
+  let file = path.join(tmpdir(t), 'missing', 'room.rec');
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  let recorder = new recording.Recorder(server.rooms.get('room'), file);
+  let failed = new Promise(resolve => recorder.once('writeError', resolve));
+  recorder.start();
+  assert.strictEqual((await failed).code, 'ENOENT');
+  await assert.rejects(recorder.stop(), {code: 'ENOENT'});
+  await server.close({graceMs: 0});
+});
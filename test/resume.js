@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {TPTMPClient} = TPTMPServer;
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Lose the connection of a client without closing it, so the server holds it
+ * @param {TPTMPServer} server The server
+ * @param {TPTMPClient} client The client
+ * @return {Promise} Resolves to the held client of the server
+ */
+async function lose(server, client) {
+  let held = server.findClient(client.nick);
+  client.socket.destroy();
+  await until(() => held.dropped);
+  return held;
+}
+
+test('dropped clients are held and resumed by their nick', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let held = await lose(server, bob);
+  assert.strictEqual(server.findClient('bob'), undefined);
+  assert.strictEqual(server.findClient('bob', true), held);
+  alice.say('/msg bob are you there?');
+  await message(alice, /^bob is not on this server$/);
+  let again = await connect(server, 'bob');
+  await until(() => server.findClient('bob') &&
+    server.findClient('bob').room.name === 'room');
+  assert.strictEqual(server.findClient('bob').id, held.id);
+  assert.ok(alice.messages.includes('bob reconnected'));
+  again.close();
+  await server.close({graceMs: 0});
+});
+
+test('ops are handed to members that are still connected', async () => {
+  let server = new TPTMPServer();
+  let op = await connect(server, 'op');
+  let held = await connect(server, 'held');
+  let bob = await connect(server, 'bob');
+  for (let client of [op, held, bob]) await join(server, client, 'room');
+  let room = server.rooms.get('room');
+  await lose(server, held);
+  op.close();
+  await until(() => !server.findClient('op'));
+  assert.deepStrictEqual([...room.ops], [server.findClient('bob').id]);
+  await server.close({graceMs: 0});
+});
+
+test('bans let go of dropped clients', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let held = await lose(server, bob);
+  server.bans.add({type: 'ban', nick: 'bob', room: 'room'});
+  await until(() => !server.clients.has(held.id));
+  assert.strictEqual(held.dropped, false);
+  assert.ok(!server.rooms.get('room').clients.has(held));
+  await server.close({graceMs: 0});
+});
+
+test('virtual users never take the place of dropped clients', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  let bob = await connect(server, 'bob');
+  await join(server, alice, 'room');
+  await join(server, bob, 'room');
+  let held = await lose(server, bob);
+  // connected the way bridges and replays connect their users
+  let {socket, client} = server.connectVirtual();
+  client.virtualUser = true;
+  let bot = new TPTMPClient({nick: 'bob', socket});
+  await bot.connect();
+  assert.notStrictEqual(client.id, held.id);
+  assert.strictEqual(client.room.name, server.opts.lobby);
+  assert.ok(held.dropped);
+  assert.ok(!alice.messages.includes('bob reconnected'));
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {TPTMPClient} = TPTMPServer;
+const {until, connect, join} = require('./helpers');
+
+// an older range with a simulation property the current protocol lacks
+const OLD = {
+  name: 'old',
+  MAJOR_MIN: 90, MINOR_MIN: 0, MAJOR_MAX: 91, MINOR_MAX: 3,
+  packets: [{relayed: true, opcode: 90, type: 'oldFan',
+    fields: [['value', 'u8']]}],
+  syncProperties: [49, 90]
+};
+
+test('in-process members sync joiners, properties included', async () => {
+  let server = new TPTMPServer();
+  let alice = await connect(server, 'alice');
+  await join(server, alice, 'room');
+  alice.on('syncRequest', id => {
+    alice.replySync(id, Buffer.from('save'));
+    alice.replyProperty(id, 49, 1);
+  });
+  let bob = await connect(server, 'bob');
+  let sync = new Promise(resolve => bob.once('sync', resolve));
+  let pause = new Promise(resolve => bob.once('pause', (packet, user) =>
+    resolve([user.nick, packet.value])));
+  bob.join('room');
+  assert.strictEqual((await sync).toString(), 'save');
+  assert.deepStrictEqual(await pause, ['alice', 1]);
+  await server.close({graceMs: 0});
+});
+
+test('properties only older versions have are not passed on', async () => {
+  let server = new TPTMPServer({versions: [{}, OLD]});
+  let errors = [];
+  server.on('clientError', err => errors.push(err));
+  let {socket} = server.connectVirtual();
+  let old = new TPTMPClient({nick: 'old', socket, version: [91, 0, 3]});
+  await old.connect();
+  await join(server, old, 'room');
+  old.on('syncRequest', id => {
+    old.replySync(id, Buffer.from('save'));
+    old.replyProperty(id, 90, 1);
+    old.replyProperty(id, 49, 1);
+  });
+  let bob = await connect(server, 'bob');
+  let properties = [];
+  bob.on('pause', packet => properties.push(packet.type));
+  bob.join('room');
+  await until(() => properties.length === 1);
+  assert.deepStrictEqual(errors, []);
+  assert.ok(server.findClient('old').connected);
+  assert.deepStrictEqual([...server.rooms.get('room').cache.properties],
+    [[49, 1]]);
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert');
+const TPTMPServer = require('..');
+const {until, connect, join, message} = require('./helpers');
+
+/**
+ * Start a server whose ops never count as active, so that kick votes run
+ * @return {TPTMPServer}
+ */
+function voteServer() {
+  return new TPTMPServer({activeOpTime: -1, voteTimeout: 1000});
+}
+
+test('a kick vote needs players besides the one who asked', async () => {
+  let server = voteServer();
+  let op = await connect(server, 'op');
+  let caller = await connect(server, 'caller');
+  await join(server, op, 'room');
+  await join(server, caller, 'room');
+  caller.say('/votekick op');
+  await message(caller, /asked to kick op: failed, not enough players/);
+  assert.ok(server.findClient('op'));
+  assert.strictEqual(server.rooms.get('room').vote, null);
+  await server.close({graceMs: 0});
+});
+
+test('a kick vote passes with a majority', async () => {
+  let server = voteServer();
+  let clients = [];
+  for (let nick of ['target', 'caller', 'a', 'b']) {
+    let client = await connect(server, nick);
+    await join(server, client, 'room');
+    clients.push(client);
+  }
+  let [target, caller, a] = clients;
+  caller.say('/votekick target rude');
+  await message(a, /caller wants to kick target/);
+  assert.ok(server.rooms.get('room').vote);
+  a.say('/vote yes');
+  await message(target, /You were kicked by a vote \(rude\)/);
+  await until(() => !server.findClient('target'));
+  await server.close({graceMs: 0});
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const TPTMPServer = require('..');
+const protocol = require('../src/protocol');
+const {until} = require('./helpers');
+
+/**
+ * Start a server taking WebSocket clients on a free port of localhost
+ * @return {Promise} Resolves to `{server, port}`
+ */
+function listen() {
+  let server = new TPTMPServer({websocket: true});
+  let {httpServer} = server.websocket;
+  return new Promise(resolve => httpServer.listen(0, '127.0.0.1', () =>
+    resolve({server, port: httpServer.address().port})));
+}
+
+/**
+ * Encode a binary frame the way clients do, masked
+ * @param {Buffer} payload The payload, shorter than 126 bytes
+ * @return {Buffer}
+ */
+function masked(payload) {
+  let mask = Buffer.from([1, 2, 3, 4]);
+  let data = Buffer.from(payload);
+  for (let i = 0; i < data.length; i++) data[i] ^= mask[i & 3];
+  return Buffer.concat([Buffer.from([0x82, 0x80 | data.length]), mask, data]);
+}
+
+/**
+ * Make an upgrade request
+ * @param {String} [path=/] Path of the request
+ * @return {String}
+ */
+function request(path = '/') {
+  return `GET ${path} HTTP/1.1\r\n` +
+    'Host: localhost\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+    'Sec-WebSocket-Version: 13\r\n\r\n';
+}
+
+test('frames sent along with the request are read', async () => {
+  let {server, port} = await listen();
+  let socket = net.connect(port, '127.0.0.1');
+  let received = Buffer.alloc(0);
+  socket.on('data', data => received = Buffer.concat([received, data]));
+  socket.write(Buffer.concat([Buffer.from(request()),
+    masked(protocol.encode('serverbound', {
+      type: 'handshake',
+      major: 92,
+      minor: 5,
+      script: 3,
+      nick: 'eager'
+    }))]));
+  let body = () => received.slice(received.indexOf('\r\n\r\n') + 4);
+  await until(() => received.includes('\r\n\r\n') && body().length >= 3);
+  assert.match(received.toString(), /^HTTP\/1.1 101 /);
+  // a binary frame holding a successful handshake response
+  assert.deepStrictEqual([...body().slice(0, 3)], [0x82, 1, 1]);
+  assert.ok(server.findClient('eager'));
+  socket.destroy();
+  await server.close({graceMs: 0});
+});
+
+test('refused requests are answered, gone clients are ignored', async () => {
+  let {server, port} = await listen();
+  let socket = net.connect(port, '127.0.0.1');
+  let received = '';
+  socket.setEncoding('utf8');
+  socket.on('data', data => received += data);
+  socket.write(request('/elsewhere'));
+  await until(() => received.includes('\r\n\r\n'));
+  assert.match(received, /^HTTP\/1.1 404 Not Found/);
+  socket.destroy();
+  // clients that reset the connection right after asking
+  for (let i = 0; i < 20; i++) {
+    let gone = net.connect(port, '127.0.0.1', () => {
+      gone.write(request('/elsewhere'));
+      gone.resetAndDestroy();
+    });
+    gone.on('error', () => {});
+  }
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(server.websocket.httpServer.listening, true);
+  await server.close({graceMs: 0});
+});